@@ -0,0 +1,236 @@
+import express from "express";
+import { createHmac, randomUUID, timingSafeEqual } from "crypto";
+import {
+  defaultConfig,
+  getRepoConfig,
+  invalidateRepoConfig,
+  pushChangesRepoConfig,
+} from "./utils/config.js";
+import { createOctokitInstance, renewJWTIfNeeded } from "./utils/github.js";
+import { routeEvent, isEventEnabled } from "./utils/router.js";
+import { isSuspended, syncInstallations } from "./utils/installations.js";
+import { updateSimilarityIndex } from "./utils/similarity.js";
+import {
+  setJobHandler,
+  enqueueJob,
+  waitForJob,
+  processesInline,
+  getQueueState,
+} from "./utils/queue.js";
+import {
+  incrementCounter,
+  countForRepo,
+  renderMetrics,
+} from "./utils/metrics.js";
+import { adminRouter } from "./utils/admin.js";
+import { scheduleTask } from "./utils/scheduler.js";
+import { sweepStale, clearStaleOnActivity } from "./utils/stale.js";
+import { logger, withLogContext } from "./utils/logger.js";
+import { isShadowed, runInShadow } from "./utils/shadow.js";
+import { withWriteJournal } from "./utils/writes.js";
+import "./handlers/index.js";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// The Express app and the work behind it. Nothing here listens, reads the
+// app's credentials or starts timers on import, so the app can be started
+// in-process (see simulator/). index.js is the server entry point.
+
+// Config for the repo the event belongs to, app.yml for repo-less events
+async function loadRepoConfig(payload) {
+  if (!payload.repository) {
+    return defaultConfig;
+  }
+
+  const octokit = createOctokitInstance(payload.installation.id);
+  return await getRepoConfig(
+    octokit,
+    payload.repository.owner.login,
+    payload.repository.name
+  );
+}
+
+// Runs a queued webhook delivery, resolves to its outcome. Everything it
+// logs or audits carries the delivery, installation, repo and event, and
+// changes an earlier attempt made aren't made again.
+function processDelivery(job) {
+  const { id, event, payload } = job;
+  const context = {
+    delivery: id,
+    installation: payload.installation.id,
+    repo: payload.repository ? payload.repository.full_name : null,
+    event: payload.action ? `${event}.${payload.action}` : event,
+  };
+  return withLogContext(context, () =>
+    withWriteJournal(job.writes, () => runDelivery(event, payload))
+  );
+}
+
+async function runDelivery(event, payload) {
+  // Suspended installations only get to hear about being unsuspended
+  if (isSuspended(payload.installation.id) && event !== "installation") {
+    logger.info("Installation is suspended, skipping the delivery.");
+    return "suspended";
+  }
+
+  // A push that edits .github/octopaji.yml makes the cached config stale
+  if (event === "push" && pushChangesRepoConfig(payload)) {
+    invalidateRepoConfig(
+      payload.repository.owner.login,
+      payload.repository.name
+    );
+  }
+
+  updateSimilarityIndex(event, payload);
+  countForRepo(payload.repository && payload.repository.full_name, "events");
+
+  const config = await loadRepoConfig(payload);
+  const handle = async () => {
+    if (isEventEnabled(event, payload.action, config)) {
+      await clearStaleOnActivity(event, payload, config);
+    }
+    return await routeEvent(event, payload, config);
+  };
+  if (!payload.repository || !isShadowed(event, payload.action, config)) {
+    return await handle();
+  }
+
+  const octokit = createOctokitInstance(payload.installation.id);
+  return await runInShadow(octokit, payload, config, handle);
+}
+
+// Verify the webhook signature against WEBHOOK_SECRET
+function verifySignature(req, res, buf) {
+  const secret = process.env.WEBHOOK_SECRET;
+  const digest = createHmac("sha256", secret || "")
+    .update(buf)
+    .digest("hex");
+  const expected = Buffer.from(`sha256=${digest}`);
+  const actual = Buffer.from(req.headers["x-hub-signature-256"] || "");
+  if (
+    !secret ||
+    expected.length !== actual.length ||
+    !timingSafeEqual(expected, actual)
+  ) {
+    throw new Error("Invalid signature");
+  }
+}
+
+// Answers a webhook whose signature doesn't match, instead of Express's
+// default error page
+function rejectInvalidSignature(error, req, res, next) {
+  if (error.type !== "entity.verify.failed") {
+    next(error);
+    return;
+  }
+  logger.warn("Rejected a webhook with an invalid signature", {
+    delivery: req.headers["x-github-delivery"],
+    event: req.headers["x-github-event"],
+  });
+  res.status(401).send("Invalid signature");
+}
+
+// Endpoint to handle webhook events
+async function receiveWebhook(req, res) {
+  const event = req.headers["x-github-event"];
+  const deliveryId = req.headers["x-github-delivery"] || randomUUID();
+  incrementCounter("octopaji_webhook_events_total", { event });
+  const payload = req.body;
+  const installationId = payload.installation && payload.installation.id;
+
+  if (!installationId) {
+    logger.error("Installation ID is missing from the payload.", {
+      delivery: deliveryId,
+      event,
+    });
+    res.status(400).send("Installation ID is missing");
+    return;
+  }
+
+  logger.info("Received webhook", {
+    delivery: deliveryId,
+    installation: installationId,
+    event,
+  });
+
+  if (!enqueueJob(deliveryId, event, payload)) {
+    res.status(200).send("Duplicate delivery");
+    return;
+  }
+  // Answer right away, GitHub redelivers webhooks that take too long
+  if (!processesInline()) {
+    res.status(202).send("Webhook queued");
+    return;
+  }
+
+  // Serverless hosts freeze the process once it has answered
+  const job = await waitForJob(deliveryId);
+  if (job.status === "done") {
+    res.status(200).send(`Webhook ${job.outcome}`);
+  } else {
+    res.status(500).send("Webhook failed");
+  }
+}
+
+function createApp() {
+  setJobHandler(processDelivery);
+
+  const app = express();
+  // Middleware to serve static files from the public directory
+  app.use(express.static(path.join(__dirname, "public")));
+
+  // Route to serve the index.html file
+  app.get("/", (req, res) => {
+    res.sendFile(path.join(__dirname, "views", "index.html"));
+  });
+
+  // Route to serve the privacy policy page
+  app.get("/privacypolicy", (req, res) => {
+    res.sendFile(path.join(__dirname, "views", "privacypolicy.html"));
+  });
+
+  // The body is parsed here only, the signature is checked on the raw bytes
+  app.post(
+    "/webhook",
+    express.json({ verify: verifySignature }),
+    receiveWebhook,
+    rejectInvalidSignature
+  );
+
+  // Queue state for debugging, only served when QUEUE_DEBUG=true
+  app.get("/webhook/queue", (req, res) => {
+    if (process.env.QUEUE_DEBUG !== "true") {
+      res.status(404).send("Not found");
+      return;
+    }
+    res.json(getQueueState());
+  });
+
+  // Read-only JSON API plus re-running deliveries, needs ADMIN_TOKEN
+  app.use("/admin", adminRouter);
+
+  // Prometheus metrics
+  app.get("/metrics", (req, res) => {
+    res.type("text/plain; version=0.0.4").send(renderMetrics());
+  });
+
+  return app;
+}
+
+// Timers and start-up work of a long-running server
+function startBackgroundTasks() {
+  setInterval(renewJWTIfNeeded, 60 * 1000); // Check JWT every minute
+
+  const { stale_sweep_minutes: staleSweepMinutes } = defaultConfig.scheduler;
+  scheduleTask("stale sweep", staleSweepMinutes * 60 * 1000, sweepStale);
+
+  // Catch up on installation changes missed while the bot was down
+  syncInstallations().catch((error) => {
+    logger.error("Failed to sync installations", { error });
+  });
+}
+
+export { createApp, processDelivery, startBackgroundTasks };
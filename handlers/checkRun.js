@@ -0,0 +1,25 @@
+import { handleCompletedRun } from "../utils/ci.js";
+
+const event = "check_run";
+
+const actions = {
+  completed: async (payload, config) => {
+    const run = payload.check_run;
+    // GitHub Actions jobs are handled through workflow_run
+    if (run.app && run.app.slug === "github-actions") {
+      return;
+    }
+
+    await handleCompletedRun(payload, config, {
+      kind: "check_run",
+      id: run.id,
+      name: run.name,
+      url: run.details_url || run.html_url,
+      sha: run.head_sha,
+      conclusion: run.conclusion,
+      pullRequests: run.pull_requests,
+    });
+  },
+};
+
+export { event, actions };
@@ -0,0 +1,12 @@
+import { celebrateRelease } from "../utils/releases.js";
+
+const event = "create";
+
+// Tags pushed without a GitHub release, releases have their own event
+async function handle(payload, config) {
+  if (payload.ref_type === "tag" && config.bot.releases.tags) {
+    await celebrateRelease(payload, config, payload.ref, null);
+  }
+}
+
+export { event, handle };
@@ -0,0 +1,25 @@
+import { registerHandler } from "../utils/router.js";
+import * as checkRun from "./checkRun.js";
+import * as create from "./create.js";
+import * as installation from "./installation.js";
+import * as issues from "./issues.js";
+import * as issueComment from "./issueComment.js";
+import * as pullRequest from "./pullRequest.js";
+import * as pullRequestReview from "./pullRequestReview.js";
+import * as push from "./push.js";
+import * as release from "./release.js";
+import * as workflowRun from "./workflowRun.js";
+
+// To support a new webhook, add its module next to these and register it here
+[
+  checkRun,
+  create,
+  installation,
+  issues,
+  issueComment,
+  pullRequest,
+  pullRequestReview,
+  push,
+  release,
+  workflowRun,
+].forEach(registerHandler);
@@ -0,0 +1,60 @@
+import {
+  storeInstallation,
+  updateRepositories,
+  cleanupInstallationData,
+  suspendInstallation,
+  unsuspendInstallation,
+  fetchRepositories,
+} from "../utils/installations.js";
+import { logger } from "../utils/logger.js";
+
+const event = ["installation", "installation_repositories"];
+
+async function handleInstallation(payload) {
+  const installationId = payload.installation.id;
+  if (payload.action === "deleted") {
+    await cleanupInstallationData(installationId);
+    logger.info("Installation has been deleted. Cleaned up resources.");
+  } else if (payload.action === "suspend") {
+    await suspendInstallation(installationId);
+    logger.info("Installation has been suspended.");
+  } else if (payload.action === "unsuspend") {
+    await unsuspendInstallation(installationId);
+    logger.info("Installation has been unsuspended.");
+  } else {
+    try {
+      // List repositories accessible to this installation
+      const repos = await fetchRepositories(installationId);
+      storeInstallation(installationId, repos, {
+        account: payload.installation.account.login,
+        suspended: Boolean(payload.installation.suspended_at),
+      });
+    } catch (error) {
+      logger.error("Failed to handle installation event", { error });
+      // Fall back to the repos listed in the payload
+      if (payload.repositories) {
+        storeInstallation(installationId, payload.repositories);
+      }
+    }
+  }
+}
+
+// Repos were added to or removed from the installation
+async function handleRepositoriesChanged(payload) {
+  updateRepositories(
+    payload.installation.id,
+    payload.repositories_added,
+    payload.repositories_removed
+  );
+  logger.info("Updated repositories of the installation.");
+}
+
+async function handle(payload) {
+  if (payload.repositories_added || payload.repositories_removed) {
+    await handleRepositoriesChanged(payload);
+  } else {
+    await handleInstallation(payload);
+  }
+}
+
+export { event, handle };
@@ -0,0 +1,190 @@
+import { createOctokitInstance, postComment } from "../utils/github.js";
+import {
+  searchSimilarIssues,
+  searchSimilarPRs,
+  formatSimilar,
+} from "../utils/similarity.js";
+import { getGifRes, handleEvent, generateComment } from "../utils/reactions.js";
+import {
+  registerCommand,
+  getCommands,
+  formatUsage,
+  runCommands,
+} from "../utils/commands.js";
+import { evaluateLabelRules, explainLabels } from "../utils/labels.js";
+import { listAuditEntries, formatAuditEntries } from "../utils/audit.js";
+import { gifCommentBlocker, recordGifComment } from "../utils/cooldowns.js";
+import { logger } from "../utils/logger.js";
+
+const event = "issue_comment";
+
+//A comment on issue is created
+async function handleCommentCreated(payload, config) {
+  const commentBody = payload.comment.body;
+
+  // Bots (us included) are ignored
+  if (!commentBody || payload.comment.user.type === "Bot") {
+    return;
+  }
+
+  const ranCommands = await runCommands({
+    payload,
+    config,
+    octokit: createOctokitInstance(payload.installation.id),
+    reply: (text) => postComment(payload, text),
+  });
+  if (ranCommands) {
+    return;
+  }
+
+  // If the comment mentions a fix, trigger "issue resolved"
+  if (/\bfix(es|ed)?\b/i.test(commentBody)) {
+    await handleEvent("issue resolved", payload, config);
+  }
+  // If the comment mentions a deploy, trigger "deployed"
+  if (/\bdeploy(s|ed)?\b/i.test(commentBody)) {
+    await handleEvent("deployed", payload, config);
+  }
+}
+
+const actions = {
+  created: handleCommentCreated,
+};
+
+registerCommand({
+  name: "help",
+  usage: "help",
+  description: "List the available commands",
+  run: async ({ replyWith }) => {
+    const lines = getCommands().map(
+      (command) => `- ${formatUsage(command)} - ${command.description}`
+    );
+    await replyWith("command_help", { commands: lines.join("\n") });
+  },
+});
+
+registerCommand({
+  name: "gif",
+  usage: "gif <term>",
+  description: "Post a GIF for the search term",
+  minArgs: 1,
+  run: async ({ payload, config, reply, replyWith }, args) => {
+    const term = args.join(" ");
+    // Asking for a GIF doesn't get around the cooldowns and the daily cap
+    const blocker = gifCommentBlocker(payload, config);
+    if (blocker) {
+      logger.info("Not posting the requested GIF", { blocker });
+      await replyWith("command_gif_cooldown", { term });
+      return;
+    }
+
+    const gif = await getGifRes(term, payload, config);
+    await reply(generateComment("command_gif", payload, gif, config, { term }));
+    if (gif) {
+      recordGifComment(payload);
+    }
+  },
+});
+
+registerCommand({
+  name: "label",
+  usage: "label <name>",
+  description: "Add a label to this issue or PR",
+  permission: "triage",
+  minArgs: 1,
+  run: async ({ payload, octokit, replyWith }, args) => {
+    const label = args.join(" ");
+    await octokit.issues.addLabels({
+      owner: payload.repository.owner.login,
+      repo: payload.repository.name,
+      issue_number: payload.issue.number,
+      labels: [label],
+    });
+    await replyWith("command_label", { label });
+  },
+});
+
+registerCommand({
+  name: "labels",
+  usage: "labels",
+  description: "Show which label rules match, without changing any label",
+  run: async ({ payload, config, octokit, replyWith }) => {
+    // PR rules need the PR itself, the comment payload only has its issue
+    let target = payload;
+    if (payload.issue.pull_request) {
+      const { data } = await octokit.pulls.get({
+        owner: payload.repository.owner.login,
+        repo: payload.repository.name,
+        pull_number: payload.issue.number,
+      });
+      target = { ...payload, pull_request: data };
+    }
+
+    const evaluation = await evaluateLabelRules(octokit, target, config);
+    await replyWith("command_labels", { rules: explainLabels(evaluation) });
+  },
+});
+
+registerCommand({
+  name: "assign",
+  usage: "assign @user",
+  description: "Assign users to this issue or PR",
+  permission: "triage",
+  minArgs: 1,
+  run: async ({ payload, octokit, replyWith }, args) => {
+    const assignees = args.map((arg) => arg.replace(/^@/, ""));
+    await octokit.issues.addAssignees({
+      owner: payload.repository.owner.login,
+      repo: payload.repository.name,
+      issue_number: payload.issue.number,
+      assignees,
+    });
+    await replyWith("command_assign", { assignees: args.join(", ") });
+  },
+});
+
+registerCommand({
+  name: "similar",
+  usage: "similar",
+  description: "Search again for similar issues or PRs",
+  run: async ({ payload, config, replyWith }) => {
+    // Comments on PRs arrive as issue_comment with issue.pull_request set
+    const isPR = Boolean(payload.issue.pull_request);
+    const similar = isPR
+      ? await searchSimilarPRs(
+          { ...payload, pull_request: payload.issue },
+          config
+        )
+      : await searchSimilarIssues(payload, config);
+
+    if (similar.length > 0) {
+      await replyWith(isPR ? "similar_prs" : "similar_issues", {
+        similar: formatSimilar(similar),
+      });
+    } else {
+      await replyWith("similar_none");
+    }
+  },
+});
+
+registerCommand({
+  name: "why",
+  usage: "why",
+  description: "Show what the bot did on this issue or PR, and why",
+  run: async ({ payload, replyWith }) => {
+    const entries = listAuditEntries({
+      installation: payload.installation.id,
+      repo: payload.repository.full_name,
+      number: payload.issue.number,
+    });
+    if (entries.length === 0) {
+      await replyWith("command_why_none");
+      return;
+    }
+    await replyWith("command_why", {
+      entries: formatAuditEntries(entries.slice(0, 10)),
+    });
+  },
+});
+
+export { event, actions };
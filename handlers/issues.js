@@ -0,0 +1,17 @@
+import { handleEvent } from "../utils/reactions.js";
+
+const event = "issues";
+
+const actions = {
+  opened: async (payload, config) => {
+    await handleEvent("issue opened", payload, config);
+  },
+  reopened: async (payload, config) => {
+    await handleEvent("reopened issue", payload, config);
+  },
+  closed: async (payload, config) => {
+    await handleEvent("issue resolved", payload, config);
+  },
+};
+
+export { event, actions };
@@ -0,0 +1,55 @@
+import { handleEvent } from "../utils/reactions.js";
+import { checkPullRequestConflict } from "../utils/conflicts.js";
+import { applyLabelRules, checksCode } from "../utils/labels.js";
+import { requestReviewers } from "../utils/assignment.js";
+import { isFirstMerge } from "../utils/welcome.js";
+
+const event = "pull_request";
+
+const actions = {
+  opened: async (payload, config) => {
+    await handleEvent("pull request", payload, config);
+    await requestReviewers(payload, config);
+  },
+  // Drafts get their reviewers once they're ready
+  ready_for_review: async (payload, config) => {
+    await requestReviewers(payload, config);
+  },
+  reopened: async (payload, config) => {
+    await handleEvent("pull request reopened", payload, config);
+  },
+  closed: async (payload, config) => {
+    if (!payload.pull_request.merged) {
+      return;
+    }
+    const firstMerge = await isFirstMerge(payload, config);
+    await handleEvent(
+      firstMerge ? "first merge" : "merge successful",
+      payload,
+      config
+    );
+  },
+  // New commits or a new base branch may make the PR conflict or clear it,
+  // and new commits may touch files that label rules look at. Rules on the
+  // title or body were applied when the PR was opened, and a label someone
+  // removed since shouldn't come back with every push.
+  synchronize: async (payload, config) => {
+    await applyLabelRules(payload, config, checksCode);
+    await checkPullRequestConflict(
+      payload,
+      config,
+      payload.pull_request.number
+    );
+  },
+  edited: async (payload, config) => {
+    if (payload.changes && payload.changes.base) {
+      await checkPullRequestConflict(
+        payload,
+        config,
+        payload.pull_request.number
+      );
+    }
+  },
+};
+
+export { event, actions };
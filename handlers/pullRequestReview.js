@@ -0,0 +1,93 @@
+import { createOctokitInstance } from "../utils/github.js";
+import { handleEvent } from "../utils/reactions.js";
+import { logger } from "../utils/logger.js";
+
+const event = "pull_request_review";
+
+// Approving review count that branch protection asks for, null when the base
+// branch isn't protected or we can't read its protection
+async function getRequiredApprovals(octokit, owner, repo, branch) {
+  try {
+    const { data } = await octokit.repos.getBranchProtection({
+      owner,
+      repo,
+      branch,
+    });
+    const reviews = data.required_pull_request_reviews;
+    return reviews ? reviews.required_approving_review_count : null;
+  } catch (error) {
+    if (error.status !== 404 && error.status !== 403) {
+      logger.error("Error fetching branch protection", { error });
+    }
+    return null;
+  }
+}
+
+// Reviewers whose latest approving or blocking review is an approval
+async function countApprovals(octokit, owner, repo, pullNumber) {
+  const reviews = await octokit.paginate(octokit.pulls.listReviews, {
+    owner,
+    repo,
+    pull_number: pullNumber,
+    per_page: 100,
+  });
+
+  const latestStates = new Map();
+  for (const review of reviews) {
+    // Comment-only reviews don't change a reviewer's verdict
+    if (review.state !== "COMMENTED") {
+      latestStates.set(review.user.login, review.state);
+    }
+  }
+  return Array.from(latestStates.values()).filter(
+    (state) => state === "APPROVED"
+  ).length;
+}
+
+async function handleApproved(payload, config) {
+  const owner = payload.repository.owner.login;
+  const repo = payload.repository.name;
+  const octokit = createOctokitInstance(payload.installation.id);
+
+  const required = await getRequiredApprovals(
+    octokit,
+    owner,
+    repo,
+    payload.pull_request.base.ref
+  );
+  if (required > 1) {
+    const approvals = await countApprovals(
+      octokit,
+      owner,
+      repo,
+      payload.pull_request.number
+    );
+    // Celebrate once, on the approval that completes the set
+    if (approvals === required) {
+      await handleEvent("approvals reached", payload, config, {
+        approvals,
+      });
+      return;
+    }
+  }
+
+  await handleEvent("approved", payload, config);
+}
+
+const actions = {
+  submitted: async (payload, config) => {
+    const state = payload.review.state.toLowerCase();
+    if (state === "approved") {
+      await handleApproved(payload, config);
+    } else if (state === "changes_requested") {
+      await handleEvent("changes requested", payload, config);
+    } else if (state === "commented") {
+      await handleEvent("review commented", payload, config);
+    }
+  },
+  dismissed: async (payload, config) => {
+    await handleEvent("review dismissed", payload, config);
+  },
+};
+
+export { event, actions };
@@ -0,0 +1,16 @@
+import { checkBaseBranchConflicts } from "../utils/conflicts.js";
+import { handlePush } from "../utils/pushes.js";
+
+const event = "push";
+
+async function handle(payload, config) {
+  // New commits on the default branch can make open PRs conflict
+  const defaultBranch = payload.repository.default_branch;
+  if (payload.ref === `refs/heads/${defaultBranch}`) {
+    await checkBaseBranchConflicts(payload, config, defaultBranch);
+  }
+
+  await handlePush(payload, config);
+}
+
+export { event, handle };
@@ -0,0 +1,12 @@
+import { celebrateRelease } from "../utils/releases.js";
+
+const event = "release";
+
+const actions = {
+  published: async (payload, config) => {
+    const { release } = payload;
+    await celebrateRelease(payload, config, release.tag_name, release);
+  },
+};
+
+export { event, actions };
@@ -0,0 +1,20 @@
+import { handleCompletedRun } from "../utils/ci.js";
+
+const event = "workflow_run";
+
+const actions = {
+  completed: async (payload, config) => {
+    const run = payload.workflow_run;
+    await handleCompletedRun(payload, config, {
+      kind: "workflow_run",
+      id: run.id,
+      name: run.name,
+      url: run.html_url,
+      sha: run.head_sha,
+      conclusion: run.conclusion,
+      pullRequests: run.pull_requests,
+    });
+  },
+};
+
+export { event, actions };
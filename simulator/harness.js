@@ -0,0 +1,279 @@
+import fs from "fs";
+import path from "path";
+import { createHmac, generateKeyPairSync, randomUUID } from "crypto";
+import yaml from "js-yaml";
+import { createMockGithub } from "./mockGithub.js";
+import { createMockTenor } from "./mockTenor.js";
+
+// Runs the bot in-process against the stand-in GitHub and Tenor servers and
+// replays webhook fixtures through it, signed like GitHub signs them.
+// A fixture is a JSON file:
+//   event    - the X-GitHub-Event header, e.g. "issues", or "stale_sweep"
+//              to sweep the payload's repository for stale items
+//   payload  - the webhook payload
+//   config   - the repo's .github/octopaji.yml, as an object (optional)
+//   files    - other repo files by path, e.g. CODEOWNERS (optional)
+//   github   - { status, body, times } by "METHOD /path" for the stand-in
+//              GitHub, `times` to fail only the first requests (optional)
+//   expect   - { outcome, calls: ["METHOD /path", ...], notCalled: [...],
+//              comments: [...], gifSearches }, comments lists a piece of
+//              text of every comment in order, gifSearches is the number of
+//              GIF searches
+// Fixtures are replayed in order against one bot, so state like the
+// similarity index or the round-robin rotation carries over between them.
+// The app's modules are only loaded once per process, so there can be one
+// simulation per process.
+
+const simulationSecret = "simulation-secret";
+
+// GIF cooldowns would keep the quick succession of fixtures quiet
+const simulationConfig = {
+  bot: { cooldowns: { repo_seconds: 0, thread_seconds: 0 } },
+};
+
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({ server, url: `http://127.0.0.1:${port}` });
+    });
+  });
+}
+
+function close({ server }) {
+  return new Promise((resolve) => server.close(resolve));
+}
+
+// Fixtures of the files and directories given, directories sorted by name
+function loadFixtures(paths) {
+  const files = paths.flatMap((target) =>
+    fs.statSync(target).isDirectory()
+      ? fs
+          .readdirSync(target)
+          .filter((name) => name.endsWith(".json"))
+          .sort()
+          .map((name) => path.join(target, name))
+      : [target]
+  );
+  return files.map((file) => ({
+    name: path.basename(file, ".json"),
+    file,
+    ...JSON.parse(fs.readFileSync(file, "utf8")),
+  }));
+}
+
+function isComment({ method, path: route }) {
+  return (
+    (method === "POST" &&
+      /\/(issues\/\d+|commits\/\w+)\/comments$/.test(route)) ||
+    (method === "PATCH" && /\/issues\/comments\/\d+$/.test(route))
+  );
+}
+
+async function createSimulation(options = {}) {
+  const github = createMockGithub();
+  const tenor = createMockTenor();
+  const githubServer = await listen(github.app);
+  const tenorServer = await listen(tenor.app);
+
+  const { privateKey } = generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: "pkcs1", format: "pem" },
+    publicKeyEncoding: { type: "spki", format: "pem" },
+  });
+  Object.assign(process.env, {
+    APP_ID: "1",
+    PKEY: privateKey,
+    WEBHOOK_SECRET: simulationSecret,
+    GITHUB_API_URL: githubServer.url,
+    TENOR_API_URL: tenorServer.url,
+    API_KEY: "simulation",
+    STORAGE_BACKEND: "memory",
+    LOG_LEVEL: options.logLevel || process.env.LOG_LEVEL || "error",
+  });
+  // Giphy has no stand-in, without a key it's skipped
+  delete process.env.GIPHY_API_KEY;
+
+  // Only now, the modules read the env above when they're loaded
+  const { createApp } = await import("../app.js");
+  const { waitForJob } = await import("../utils/queue.js");
+  const { invalidateRepoConfig } = await import("../utils/config.js");
+  const { sweepRepository } = await import("../utils/stale.js");
+  const { withLogContext } = await import("../utils/logger.js");
+  const appServer = await listen(createApp());
+
+  // POST the payload to /webhook, signed with `secret`
+  async function sendWebhook(event, payload, { secret, delivery } = {}) {
+    const body = JSON.stringify(payload);
+    const digest = createHmac("sha256", secret || simulationSecret)
+      .update(body)
+      .digest("hex");
+    return await fetch(`${appServer.url}/webhook`, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "x-github-event": event,
+        "x-github-delivery": delivery || randomUUID(),
+        "x-hub-signature-256": `sha256=${digest}`,
+      },
+      body,
+    });
+  }
+
+  // Send the webhook, resolves to its response status and finished job
+  async function deliver(event, payload) {
+    const delivery = randomUUID();
+    const response = await sendWebhook(event, payload, { delivery });
+    // Retries included
+    const job = await waitForJob(delivery);
+    return { status: response.status, job };
+  }
+
+  // The scheduled stale sweep of one repo, with its outcome shaped like a job
+  async function runSweep({ installation, repository }) {
+    const context = {
+      installation: installation.id,
+      repo: repository.full_name,
+      event: "stale_sweep",
+    };
+    try {
+      await withLogContext(context, () =>
+        sweepRepository(installation.id, repository)
+      );
+      return { status: null, job: { status: "done", outcome: "handled" } };
+    } catch (error) {
+      return {
+        status: null,
+        job: { status: "dead", lastError: error.message },
+      };
+    }
+  }
+
+  // Replay the fixture, resolves to what the bot did:
+  // { outcome, error, calls: [{ method, path, status, body }], comments,
+  //   gifSearches }
+  async function replay(fixture) {
+    const config = {
+      ...fixture.config,
+      bot: { ...simulationConfig.bot, ...(fixture.config || {}).bot },
+    };
+    github.reset({
+      responses: fixture.github,
+      files: { ".github/octopaji.yml": yaml.dump(config), ...fixture.files },
+    });
+    tenor.reset();
+
+    const { repository } = fixture.payload;
+    if (repository) {
+      invalidateRepoConfig(repository.owner.login, repository.name);
+    }
+
+    const { status, job } =
+      fixture.event === "stale_sweep"
+        ? await runSweep(fixture.payload)
+        : await deliver(fixture.event, fixture.payload);
+    // Installation tokens are the app's business, not the handler's
+    const calls = github
+      .requests()
+      .filter((call) => !call.path.endsWith("/access_tokens"));
+
+    return {
+      name: fixture.name,
+      event: fixture.payload.action
+        ? `${fixture.event}.${fixture.payload.action}`
+        : fixture.event,
+      status,
+      outcome: !job ? null : job.status === "done" ? job.outcome : job.status,
+      // A retried delivery that went through keeps its last error too
+      error: job && job.status !== "done" ? job.lastError : null,
+      calls,
+      comments: calls.filter(isComment).map((call) => ({
+        method: call.method,
+        path: call.path,
+        status: call.status,
+        body: call.body.body,
+      })),
+      gifSearches: [...tenor.searches()],
+    };
+  }
+
+  async function stop() {
+    await Promise.all([appServer, githubServer, tenorServer].map(close));
+  }
+
+  return { url: appServer.url, replay, sendWebhook, stop };
+}
+
+// What doesn't match the fixture's `expect`, as a list of messages
+function checkExpectations(fixture, result) {
+  const expect = fixture.expect || {};
+  const failures = [];
+
+  if (expect.outcome && result.outcome !== expect.outcome) {
+    const error = result.error ? ` (${result.error})` : "";
+    failures.push(
+      `outcome is ${result.outcome}${error}, expected ${expect.outcome}`
+    );
+  }
+
+  const made = result.calls.map((call) => `${call.method} ${call.path}`);
+  for (const call of expect.calls || []) {
+    if (!made.includes(call)) {
+      failures.push(`no ${call} call`);
+    }
+  }
+  for (const call of expect.notCalled || []) {
+    if (made.includes(call)) {
+      failures.push(`unexpected ${call} call`);
+    }
+  }
+
+  if (expect.comments) {
+    const bodies = result.comments.map((comment) => comment.body);
+    if (bodies.length !== expect.comments.length) {
+      failures.push(
+        `${bodies.length} comment(s) posted, expected ${expect.comments.length}`
+      );
+    }
+    expect.comments.forEach((text, index) => {
+      if (bodies[index] !== undefined && !bodies[index].includes(text)) {
+        failures.push(`comment ${index + 1} doesn't contain "${text}"`);
+      }
+    });
+  }
+
+  if (
+    expect.gifSearches !== undefined &&
+    result.gifSearches.length !== expect.gifSearches
+  ) {
+    failures.push(
+      `${result.gifSearches.length} GIF search(es), expected ${expect.gifSearches}`
+    );
+  }
+
+  return failures;
+}
+
+// Human readable report of a replay
+function formatResult(result, failures) {
+  const lines = [
+    `${failures.length > 0 ? "✘" : "✔"} ${result.name} (${result.event}): ` +
+      `${result.outcome}${result.error ? `, ${result.error}` : ""}`,
+  ];
+  for (const call of result.calls) {
+    lines.push(`    ${call.method.padEnd(6)} ${call.path} -> ${call.status}`);
+  }
+  for (const comment of result.comments) {
+    const text = comment.body.replace(/<img[^>]*>|<br\/?>/g, " ").trim();
+    lines.push(`    💬 ${comment.path}: ${text.split("\n")[0]}`);
+  }
+  if (result.gifSearches.length > 0) {
+    lines.push(`    GIF searches: ${result.gifSearches.join(", ")}`);
+  }
+  for (const failure of failures) {
+    lines.push(`    ✘ ${failure}`);
+  }
+  return lines.join("\n");
+}
+
+export { loadFixtures, createSimulation, checkExpectations, formatResult };
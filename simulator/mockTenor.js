@@ -0,0 +1,32 @@
+import express from "express";
+
+// Stand-in for the Tenor search API: a few made-up GIFs per search term,
+// with every search recorded
+function createMockTenor() {
+  let searches = [];
+
+  const app = express();
+  app.get("/v2/search", (req, res) => {
+    const term = String(req.query.q || "");
+    searches.push(term);
+
+    const slug = term.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+    const count = Math.min(Number(req.query.limit) || 1, 3);
+    const results = Array.from({ length: count }, (value, index) => ({
+      id: `${slug}-${index + 1}`,
+      content_description: term,
+      media_formats: {
+        tinygif: { url: `https://media.tenor.test/${slug}-${index + 1}.gif` },
+      },
+    }));
+    res.json({ results, next: "" });
+  });
+
+  function reset() {
+    searches = [];
+  }
+
+  return { app, reset, searches: () => searches };
+}
+
+export { createMockTenor };
@@ -0,0 +1,53 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import {
+  loadFixtures,
+  createSimulation,
+  checkExpectations,
+  formatResult,
+} from "./harness.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Replays webhook fixtures against the bot with stand-in GitHub and Tenor
+// servers and reports the API calls and comments each one produced.
+//   node simulator/replay.js [--json] [--verbose] [fixture.json|dir ...]
+// Without paths every fixture in test/fixtures is replayed. Exits with 1
+// when a fixture's expectations aren't met.
+const args = process.argv.slice(2);
+const json = args.includes("--json");
+const verbose = args.includes("--verbose");
+const paths = args.filter((arg) => !arg.startsWith("--"));
+
+const fixtures = loadFixtures(
+  paths.length > 0 ? paths : [path.join(__dirname, "..", "test", "fixtures")]
+);
+const simulation = await createSimulation({
+  logLevel: verbose ? "info" : undefined,
+});
+
+const results = [];
+let failed = 0;
+for (const fixture of fixtures) {
+  const result = await simulation.replay(fixture);
+  const failures = checkExpectations(fixture, result);
+  failed += failures.length > 0 ? 1 : 0;
+  results.push({ ...result, failures });
+  if (!json) {
+    console.log(formatResult(result, failures));
+  }
+}
+
+if (json) {
+  console.log(JSON.stringify(results, null, 2));
+} else {
+  console.log(
+    `\n${fixtures.length - failed}/${fixtures.length} fixtures passed`
+  );
+}
+
+await simulation.stop();
+// Deliveries waiting for a retry would keep the process alive
+process.exit(failed > 0 ? 1 : 0);
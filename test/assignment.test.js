@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCodeowners, ownersOfFiles } from "../utils/assignment.js";
+
+const codeowners = parseCodeowners(`# Owners
+*.js        @js-team
+/docs/      @writers
+api/        @backend   # anywhere in the tree
+/src/ui/*.css @designer
+/src/app.js @alice @bob
+`);
+
+test("parseCodeowners skips comments and blank lines", () => {
+  assert.deepEqual(codeowners[2], { pattern: "api/", owners: ["@backend"] });
+  assert.equal(codeowners.length, 5);
+});
+
+test("patterns without a slash match at any depth", () => {
+  assert.deepEqual(ownersOfFiles(codeowners, ["lib/deep/util.js"]), [
+    "@js-team",
+  ]);
+});
+
+test("a leading slash anchors to the root, directories match all below", () => {
+  assert.deepEqual(ownersOfFiles(codeowners, ["docs/guide/intro.md"]), [
+    "@writers",
+  ]);
+  assert.deepEqual(ownersOfFiles(codeowners, ["site/docs/intro.md"]), []);
+  assert.deepEqual(ownersOfFiles(codeowners, ["services/api/routes.go"]), [
+    "@backend",
+  ]);
+  assert.deepEqual(ownersOfFiles(codeowners, ["src/ui/forms/input.css"]), []);
+  assert.deepEqual(ownersOfFiles(codeowners, ["src/ui/button.css"]), [
+    "@designer",
+  ]);
+});
+
+test("the last matching line wins", () => {
+  assert.deepEqual(ownersOfFiles(codeowners, ["src/app.js", "index.js"]), [
+    "@alice",
+    "@bob",
+    "@js-team",
+  ]);
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCommands, hasPermission } from "../utils/commands.js";
+
+test("parseCommands reads one command per line", () => {
+  const body =
+    "Looks like a bug.\n/octopaji label bug\r\n  /octopaji ASSIGN @alice @bob";
+  assert.deepEqual(parseCommands(body), [
+    { name: "label", args: ["bug"] },
+    { name: "assign", args: ["@alice", "@bob"] },
+  ]);
+});
+
+test("parseCommands skips commands in code blocks", () => {
+  const body = "Try this:\n```\n/octopaji label bug\n```\n/octopaji help";
+  assert.deepEqual(parseCommands(body), [{ name: "help", args: [] }]);
+});
+
+test("parseCommands needs the prefix at the start of a line", () => {
+  assert.deepEqual(parseCommands("please run /octopaji help"), []);
+  assert.deepEqual(parseCommands("/octopajihelp"), []);
+  assert.deepEqual(parseCommands(null), []);
+});
+
+test("hasPermission compares repo roles", () => {
+  assert.ok(hasPermission("admin", "triage"));
+  assert.ok(hasPermission("triage", "triage"));
+  assert.ok(!hasPermission("read", "triage"));
+  assert.ok(!hasPermission("none", "read"));
+});
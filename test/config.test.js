@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateConfig } from "../utils/config.js";
+
+test("comments.events takes message keys", () => {
+  const config = {
+    bot: {
+      comments: {
+        events: { merge_conflict: "sticky", ci_failed: "sticky" },
+      },
+    },
+  };
+  assert.deepEqual(validateConfig(config), []);
+});
+
+test("comments.events rejects keys that aren't messages", () => {
+  const config = {
+    bot: {
+      comments: {
+        events: { "merge conflict": "sticky", ci_fixed: "always" },
+      },
+    },
+  };
+  assert.deepEqual(validateConfig(config), [
+    "config.bot.comments.events.merge conflict is not a message key",
+    "config.bot.comments.events.ci_fixed should be one of fresh, sticky",
+  ]);
+});
@@ -0,0 +1,136 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import {
+  loadFixtures,
+  createSimulation,
+  checkExpectations,
+  formatResult,
+} from "../simulator/harness.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const handlerFiles = [
+  "checkRun",
+  "create",
+  "installation",
+  "issues",
+  "issueComment",
+  "pullRequest",
+  "pullRequestReview",
+  "push",
+  "release",
+  "workflowRun",
+];
+
+// Actions a `handle` module branches on, the module doesn't list them
+const handledActions = {
+  installation: ["created", "deleted", "suspend", "unsuspend"],
+  installation_repositories: ["added", "removed"],
+};
+
+const fixtures = loadFixtures([path.join(__dirname, "fixtures")]);
+let simulation;
+let commentsMade = 0;
+
+before(async () => {
+  simulation = await createSimulation();
+});
+
+after(async () => {
+  await simulation.stop();
+});
+
+// One test per fixture, in order, since state carries over between them
+for (const fixture of fixtures) {
+  test(`${fixture.name}: ${fixture.description}`, async () => {
+    const result = await simulation.replay(fixture);
+    commentsMade += result.comments.filter(({ status }) => status < 400).length;
+    const failures = checkExpectations(fixture, result);
+    assert.deepEqual(failures, [], formatResult(result, failures));
+  });
+}
+
+test("every handler action has a fixture", async () => {
+  const replayed = new Set(
+    fixtures.map((fixture) =>
+      fixture.payload.action
+        ? `${fixture.event}.${fixture.payload.action}`
+        : fixture.event
+    )
+  );
+  const covered = (name) =>
+    [...replayed].some(
+      (event) => event === name || event.startsWith(`${name}.`)
+    );
+
+  const missing = [];
+  for (const file of handlerFiles) {
+    const handler = await import(`../handlers/${file}.js`);
+    const events = [].concat(handler.event);
+    const names = events.flatMap((event) => {
+      const actions = handler.actions
+        ? Object.keys(handler.actions)
+        : handledActions[event];
+      return actions ? actions.map((action) => `${event}.${action}`) : [event];
+    });
+    missing.push(...names.filter((name) => !covered(name)));
+  }
+  assert.deepEqual(missing, []);
+});
+
+test("on Vercel webhooks are answered once they're processed", async () => {
+  process.env.VERCEL = "1";
+  try {
+    const response = await simulation.sendWebhook(
+      fixtures[0].event,
+      fixtures[0].payload
+    );
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), "Webhook handled");
+  } finally {
+    delete process.env.VERCEL;
+  }
+});
+
+test("webhooks with a wrong signature are rejected", async () => {
+  const response = await simulation.sendWebhook("issues", fixtures[0].payload, {
+    secret: "not-the-secret",
+  });
+  assert.equal(response.status, 401);
+});
+
+test("/metrics counts every comment posted or edited", async () => {
+  const response = await fetch(`${simulation.url}/metrics`);
+  assert.equal(response.status, 200);
+  const metrics = await response.text();
+  const [, posted] = metrics.match(/^octopaji_comments_posted_total (\d+)$/m);
+  assert.equal(Number(posted), commentsMade);
+  assert.match(metrics, /^octopaji_deliveries_total\{/m);
+});
+
+test("/admin needs ADMIN_TOKEN", async () => {
+  const get = (route, token) =>
+    fetch(`${simulation.url}/admin${route}`, {
+      headers: token ? { authorization: `Bearer ${token}` } : {},
+    });
+
+  assert.equal((await get("/repos", "admin-token")).status, 404);
+  process.env.ADMIN_TOKEN = "admin-token";
+  try {
+    assert.equal((await get("/repos")).status, 401);
+    assert.equal((await get("/repos", "not-the-token")).status, 401);
+
+    const repos = await get("/repos", "admin-token");
+    assert.equal(repos.status, 200);
+    assert.ok((await repos.json())["octo/demo"].comments > 0);
+
+    const deliveries = await get("/deliveries?limit=2", "admin-token");
+    assert.equal((await deliveries.json()).deliveries.length, 2);
+  } finally {
+    delete process.env.ADMIN_TOKEN;
+  }
+});
@@ -0,0 +1,122 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createMockTenor } from "../simulator/mockTenor.js";
+
+const tenor = createMockTenor();
+let server;
+let getGifs;
+let defaultConfig;
+
+before(async () => {
+  await new Promise((resolve) => {
+    server = tenor.app.listen(0, "127.0.0.1", resolve);
+  });
+  Object.assign(process.env, {
+    TENOR_API_URL: `http://127.0.0.1:${server.address().port}`,
+    API_KEY: "test",
+    LOG_LEVEL: "error",
+  });
+  delete process.env.GIPHY_API_KEY;
+
+  // Only now, the modules read the env above when they're loaded
+  ({ getGifs } = await import("../utils/api.js"));
+  ({ defaultConfig } = await import("../utils/config.js"));
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+function gifSettings(settings) {
+  return { ...defaultConfig.bot.gif_settings, ...settings };
+}
+
+test("providers are tried in order, unavailable ones are skipped", async () => {
+  tenor.reset();
+  const gif = await getGifs(
+    "celebration",
+    gifSettings({ providers: ["giphy", "tenor", "local"] })
+  );
+  assert.equal(gif.provider.name, "tenor");
+  assert.equal(gif.id, "celebration-1");
+  assert.deepEqual(tenor.searches(), ["celebration"]);
+});
+
+test("a failing provider falls through to the next one", async () => {
+  const baseUrl = process.env.TENOR_API_URL;
+  process.env.TENOR_API_URL = "http://127.0.0.1:1";
+  try {
+    const gif = await getGifs(
+      "celebration",
+      gifSettings({ providers: ["tenor", "local"] })
+    );
+    assert.equal(gif.provider.name, "local");
+    assert.equal(gif.id, "octopaji-logo");
+  } finally {
+    process.env.TENOR_API_URL = baseUrl;
+  }
+});
+
+test("the local catalog uses its default list for unknown terms", async () => {
+  const gif = await getGifs(
+    "tumbleweed",
+    gifSettings({ providers: ["local"] })
+  );
+  assert.equal(gif.provider.name, "local");
+  assert.equal(gif.url, "https://octopaji.vercel.app/images/logo.jpg");
+});
+
+test("without any provider the fallback GIF is used", async () => {
+  const gif = await getGifs("celebration", gifSettings({ providers: [] }));
+  assert.equal(gif.provider.name, "fallback");
+  assert.equal(gif.url, defaultConfig.bot.content_safety.fallback_gif);
+});
+
+test("gif_randomised picks any of the results, not the top one", async (t) => {
+  t.mock.method(Math, "random", () => 0.99);
+  const top = await getGifs("party", gifSettings({ gif_randomised: false }));
+  const random = await getGifs("party", gifSettings({ gif_randomised: true }));
+  assert.equal(top.id, "party-1");
+  assert.equal(random.id, "party-3");
+});
+
+test("GIFs posted recently in the repo are skipped", async () => {
+  const settings = gifSettings({ no_repeat_window: 2 });
+  const ids = [];
+  for (let i = 0; i < 4; i++) {
+    ids.push((await getGifs("cheers", settings, "octo/repeat")).id);
+  }
+  assert.deepEqual(ids, ["cheers-1", "cheers-2", "cheers-3", "cheers-1"]);
+  const other = await getGifs("cheers", settings, "octo/other");
+  assert.equal(other.id, "cheers-1");
+});
+
+test("a no_repeat_window of 0 allows repeats", async () => {
+  const settings = gifSettings({ no_repeat_window: 0 });
+  const first = await getGifs("cheers", settings, "octo/no-window");
+  const second = await getGifs("cheers", settings, "octo/no-window");
+  assert.equal(first.id, second.id);
+});
+
+test("blocked search terms aren't searched for", async () => {
+  tenor.reset();
+  const contentSafety = {
+    ...defaultConfig.bot.content_safety,
+    blocked_terms: ["party"],
+  };
+  const gif = await getGifs("party", gifSettings(), null, contentSafety);
+  assert.equal(gif.provider.name, "fallback");
+  assert.deepEqual(tenor.searches(), []);
+});
+
+test("when every result is filtered out, the next provider is asked", async () => {
+  const contentSafety = {
+    ...defaultConfig.bot.content_safety,
+    blocked_gifs: ["tenor:waiting-1", "tenor:waiting-2", "tenor:waiting-3"],
+  };
+  const gif = await getGifs(
+    "waiting",
+    gifSettings({ providers: ["tenor", "local"] }),
+    null,
+    contentSafety
+  );
+  assert.equal(gif.provider.name, "local");
+});
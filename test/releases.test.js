@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseVersion, releaseType, formatNotes } from "../utils/releases.js";
+
+test("parseVersion reads semver tags, with or without the v", () => {
+  assert.deepEqual(parseVersion("v1.2.3-rc.1"), {
+    major: 1,
+    minor: 2,
+    patch: 3,
+    prerelease: "rc.1",
+  });
+  assert.deepEqual(parseVersion("2.0"), {
+    major: 2,
+    minor: 0,
+    patch: 0,
+    prerelease: null,
+  });
+  assert.equal(parseVersion("nightly"), null);
+});
+
+test("releaseType compares to the previous version", () => {
+  const type = (tag, previous, prerelease = false) =>
+    releaseType(
+      parseVersion(tag),
+      previous && parseVersion(previous),
+      prerelease
+    );
+  assert.equal(type("v2.0.0", "v1.9.3"), "major");
+  assert.equal(type("v1.3.0", "v1.2.9"), "minor");
+  assert.equal(type("v1.2.4", "v1.2.3"), "patch");
+  assert.equal(type("v1.3.0-beta.1", "v1.2.3"), "prerelease");
+  assert.equal(type("v1.3.0", "v1.2.3", true), "prerelease");
+});
+
+test("the first release counts as major", () => {
+  assert.equal(releaseType(parseVersion("v0.1.0"), null, false), "major");
+});
+
+test("formatNotes groups merged PRs by label", () => {
+  const pr = (number, labels, mergedAt = "2026-01-01T00:00:00Z") => ({
+    number,
+    title: `Change ${number}`,
+    labels: labels.map((name) => ({ name })),
+    user: { login: "octocat" },
+    pull_request: { merged_at: mergedAt },
+  });
+  const notes = formatNotes(
+    [pr(1, ["bug"]), pr(2, []), pr(3, ["bug"], null), { number: 4 }],
+    { groups: [{ label: "bug", title: "Fixes" }], other_title: "Other" }
+  );
+  assert.equal(
+    notes,
+    "### Fixes\n\n- Change 1 (#1) @octocat\n\n### Other\n\n- Change 2 (#2) @octocat"
+  );
+});
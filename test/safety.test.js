@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  contentFilterFor,
+  containsBlockedTerm,
+  filterSafeGifs,
+  getFallbackGif,
+} from "../utils/safety.js";
+
+const provider = { name: "tenor" };
+const gifs = [
+  { id: "1", url: "https://media.test/1.gif", description: "Party time" },
+  { id: "2", url: "https://media.test/2.gif", description: "Beer party" },
+  { id: "3", url: "https://media.test/3.gif", description: "High five" },
+];
+
+function safety(settings) {
+  return {
+    rating: "pg",
+    blocked_terms: [],
+    blocked_gifs: [],
+    corporate_mode: false,
+    allowed_gifs: [],
+    fallback_gif: "https://media.test/fallback.gif",
+    ...settings,
+  };
+}
+
+function ids(results) {
+  return results.map((gif) => gif.id);
+}
+
+test("the rating maps to each provider's content filter", () => {
+  assert.equal(contentFilterFor("tenor", safety({ rating: "pg" })), "medium");
+  assert.equal(contentFilterFor("giphy", safety({ rating: "pg-13" })), "pg-13");
+  assert.equal(contentFilterFor("tenor", safety({ rating: "nsfw" })), "high");
+});
+
+test("blocked terms match case-insensitively", () => {
+  const contentSafety = safety({ blocked_terms: ["BEER"] });
+  assert.ok(containsBlockedTerm("cold beer", contentSafety));
+  assert.ok(!containsBlockedTerm("celebration", contentSafety));
+  assert.deepEqual(ids(filterSafeGifs(gifs, provider, contentSafety)), [
+    "1",
+    "3",
+  ]);
+});
+
+test("blocked GIFs are given as provider:id, id or URL", () => {
+  const contentSafety = safety({
+    blocked_gifs: ["tenor:1", "https://media.test/3.gif", "giphy:2"],
+  });
+  assert.deepEqual(ids(filterSafeGifs(gifs, provider, contentSafety)), ["2"]);
+  const byId = safety({ blocked_gifs: ["2"] });
+  assert.deepEqual(ids(filterSafeGifs(gifs, provider, byId)), ["1", "3"]);
+});
+
+test("corporate mode only lets allowed GIFs through", () => {
+  const contentSafety = safety({
+    corporate_mode: true,
+    allowed_gifs: ["tenor:3"],
+    blocked_terms: ["five"],
+  });
+  assert.deepEqual(ids(filterSafeGifs(gifs, provider, contentSafety)), ["3"]);
+  assert.deepEqual(
+    filterSafeGifs(gifs, provider, safety({ corporate_mode: true })),
+    []
+  );
+});
+
+test("the fallback GIF has no attribution, and can be turned off", () => {
+  const fallback = getFallbackGif(safety());
+  assert.equal(fallback.url, "https://media.test/fallback.gif");
+  assert.equal(fallback.provider.attribution, null);
+  assert.equal(getFallbackGif(safety({ fallback_gif: null })), null);
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { tokenize, rankDocuments } from "../utils/similarity.js";
+
+const settings = { threshold: 0.2, max_results: 5 };
+
+function doc(number, title, body = "", labels = []) {
+  return { number, title, body, labels, state: "open", isPR: false };
+}
+
+test("tokenize drops stop words and plural endings", () => {
+  assert.deepEqual(tokenize("The app crashes on uploads"), [
+    "app",
+    "crash",
+    "upload",
+  ]);
+});
+
+test("rankDocuments ranks the closest document first", () => {
+  const query = doc(9, "Avatar upload crashes the app");
+  const ranked = rankDocuments(
+    query,
+    [
+      doc(1, "Add a dark theme", "Dark colors for settings"),
+      doc(2, "Crash on avatar upload", "The app crashes"),
+      doc(3, "Upload progress bar"),
+    ],
+    settings
+  );
+  assert.equal(ranked[0].number, 2);
+  assert.ok(ranked.every((match) => match.number !== 1));
+});
+
+test("rankDocuments leaves out the document itself", () => {
+  const query = doc(2, "Crash on avatar upload");
+  assert.deepEqual(rankDocuments(query, [query], settings), []);
+});
+
+test("rankDocuments stops at max_results", () => {
+  const query = doc(9, "Login fails");
+  const documents = [1, 2, 3].map((number) => doc(number, "Login fails"));
+  const ranked = rankDocuments(query, documents, {
+    ...settings,
+    max_results: 2,
+  });
+  assert.equal(ranked.length, 2);
+});
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  locales,
+  messageKeys,
+  renderTemplate,
+  renderMessage,
+} from "../utils/templates.js";
+
+function configWith(bot) {
+  return { bot: { locale: "en", messages: {}, ...bot } };
+}
+
+test("renderTemplate fills in variables, unset ones are empty", () => {
+  assert.equal(
+    renderTemplate("Hi @{{author}}{{missing}}!", { author: "octocat" }),
+    "Hi @octocat!"
+  );
+});
+
+test("renderTemplate shows {{#if}} blocks only for set variables", () => {
+  const template = "Thanks{{#if author}}, @{{author}}{{else}} everyone{{/if}}";
+  assert.equal(
+    renderTemplate(template, { author: "octocat" }),
+    "Thanks, @octocat"
+  );
+  assert.equal(renderTemplate(template, { author: "" }), "Thanks everyone");
+  assert.equal(renderTemplate(template, { author: [] }), "Thanks everyone");
+});
+
+test("renderTemplate handles nested {{#if}} blocks", () => {
+  const template = "{{#if a}}A{{#if b}}B{{/if}}{{/if}}";
+  assert.equal(renderTemplate(template, { a: 1, b: 1 }), "AB");
+  assert.equal(renderTemplate(template, { a: 1 }), "A");
+  assert.equal(renderTemplate(template, { b: 1 }), "");
+});
+
+test("renderTemplate doesn't expand $ patterns of the variables", () => {
+  assert.equal(
+    renderTemplate("{{#if a}}{{a}}{{/if}}", { a: "$& $1" }),
+    "$& $1"
+  );
+});
+
+test("every locale only has messages the English one has", () => {
+  for (const [code, messages] of Object.entries(locales)) {
+    const unknown = Object.keys(messages).filter(
+      (key) => !messageKeys.includes(key)
+    );
+    assert.deepEqual(unknown, [], `unknown keys in ${code}.yml`);
+  }
+});
+
+test("messages come from the repo's locale", () => {
+  const variables = { author: "octocat" };
+  assert.match(
+    renderMessage(configWith({ locale: "es" }), "issue_opened", variables),
+    /Gracias por tu contribución, @octocat/
+  );
+  assert.match(
+    renderMessage(configWith({ locale: "hi" }), "issue_opened", variables),
+    /धन्यवाद, @octocat/
+  );
+});
+
+test("unknown locales fall back to English", () => {
+  assert.match(
+    renderMessage(configWith({ locale: "xx" }), "issue_reopened"),
+    /This issue has been reopened/
+  );
+});
+
+test("message overrides win over the locale", () => {
+  const config = configWith({
+    locale: "es",
+    messages: { issue_opened: "Thanks {{author}}, we'll look soon." },
+  });
+  assert.equal(
+    renderMessage(config, "issue_opened", { author: "octocat" }),
+    "Thanks octocat, we'll look soon."
+  );
+  assert.match(renderMessage(config, "issue_reopened"), /se ha reabierto/);
+});
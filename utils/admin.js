@@ -0,0 +1,78 @@
+import express from "express";
+import { timingSafeEqual } from "crypto";
+import { listInstallations } from "./installations.js";
+import { getQueueState, rerunJob } from "./queue.js";
+import { getRepoCounters } from "./metrics.js";
+import { listAuditEntries } from "./audit.js";
+
+// JSON API to see what the bot is doing, every request needs
+// "Authorization: Bearer $ADMIN_TOKEN". Without ADMIN_TOKEN it's turned off.
+const adminRouter = express.Router();
+
+function isAuthorized(req) {
+  const token = process.env.ADMIN_TOKEN;
+  const [scheme, given] = (req.headers.authorization || "").split(" ");
+  if (!token || scheme !== "Bearer" || !given) {
+    return false;
+  }
+
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(given);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+adminRouter.use((req, res, next) => {
+  if (!process.env.ADMIN_TOKEN) {
+    res.status(404).send("Not found");
+    return;
+  }
+  if (!isAuthorized(req)) {
+    res.status(401).json({ error: "Invalid or missing admin token" });
+    return;
+  }
+  next();
+});
+
+// Installations and the repositories they can access
+adminRouter.get("/installations", (req, res) => {
+  res.json(listInstallations());
+});
+
+// Recent deliveries, newest first, ?limit= caps how many
+adminRouter.get("/deliveries", (req, res) => {
+  const limit = Number(req.query.limit) || 50;
+  const { running, pending, jobs, deadLetters } = getQueueState();
+  res.json({
+    running,
+    pending,
+    deliveries: jobs.reverse().slice(0, limit),
+    deadLetters,
+  });
+});
+
+// Events, comments and errors per repository since the bot started
+adminRouter.get("/repos", (req, res) => {
+  res.json(getRepoCounters());
+});
+
+// Audit trail, newest first, filtered by ?installation=, ?repo=owner/name and
+// ?number=, ?limit= caps how many
+adminRouter.get("/audit", (req, res) => {
+  const { installation, repo, number } = req.query;
+  const limit = Number(req.query.limit) || 100;
+  res.json(listAuditEntries({ installation, repo, number }).slice(0, limit));
+});
+
+adminRouter.post("/deliveries/:id/rerun", (req, res) => {
+  const { id } = req.params;
+  const job = getQueueState().jobs.find((job) => job.id === id);
+  if (!job) {
+    res.status(404).json({ error: `Delivery ${id} is not known` });
+  } else if (!rerunJob(id)) {
+    res.status(409).json({ error: `Delivery ${id} is still ${job.status}` });
+  } else {
+    res.status(202).json({ id, status: "queued" });
+  }
+});
+
+export { adminRouter };
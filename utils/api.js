@@ -1,30 +1,15 @@
-import axios from "axios";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
-import { dirname } from "path";
-import yaml from "js-yaml";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-const configPath = path.join(__dirname, "./../app.yml");
-
-// Load the YAML config
-let config;
-try {
-  const fileContents = fs.readFileSync(configPath, "utf8");
-  config = yaml.load(fileContents);
-} catch (e) {
-  console.error("Error loading YAML config:", e);
-}
-
-const {
-  gif_limit: gifLimit,
-  gif_randomised: gifRandomised,
-  gif_width: gifWidth,
-  gif_height: gifHeight,
-} = config.bot.gif_settings;
+import { defaultConfig } from "./config.js";
+import * as tenor from "./providers/tenor.js";
+import * as giphy from "./providers/giphy.js";
+import * as local from "./providers/local.js";
+import { filterRecentGifs, recordGif } from "./history.js";
+import {
+  containsBlockedTerm,
+  filterSafeGifs,
+  getFallbackGif,
+} from "./safety.js";
+import { incrementCounter, observeDuration } from "./metrics.js";
+import { logger } from "./logger.js";
 
 const keySearchTerms = [
   {
@@ -95,6 +80,22 @@ const keySearchTerms = [
     key: ["approved", "reviewed", "pull request approved"],
     term: ["thumbs up", "clapping", "nodding in approval"],
   },
+  {
+    key: ["approvals reached", "ready to merge"],
+    term: ["green light", "lets go", "cheering crowd"],
+  },
+  {
+    key: ["changes requested"],
+    term: ["back to the drawing board", "not quite", "try again"],
+  },
+  {
+    key: ["review commented"],
+    term: ["thinking", "hmm", "taking notes"],
+  },
+  {
+    key: ["review dismissed"],
+    term: ["never mind", "shrug", "moving on"],
+  },
   {
     key: ["fixed", "solved", "issue resolved"],
     term: ["peace restored", "problem solved"],
@@ -107,36 +108,111 @@ const keySearchTerms = [
     key: ["branch updated", "branch synced", "branch rebased"],
     term: ["smooth", "keep up"],
   },
+  {
+    key: ["force push", "force push detected", "history rewritten"],
+    term: ["rewind", "time travel", "careful"],
+  },
+  {
+    key: ["ci failed", "build failed", "tests failed"],
+    term: ["this is fine", "explosion", "facepalm"],
+  },
+  {
+    key: ["ci fixed", "build fixed", "all green"],
+    term: ["phew", "relief", "nailed it"],
+  },
+  {
+    key: ["stale", "inactive", "abandoned"],
+    term: ["waiting", "tumbleweed", "hello anyone"],
+  },
+  {
+    key: ["release major"],
+    term: ["fireworks", "epic", "mind blown"],
+  },
+  {
+    key: ["release minor"],
+    term: ["celebration", "party", "cheers"],
+  },
+  {
+    key: ["release patch"],
+    term: ["fixed it", "smooth", "thumbs up"],
+  },
+  {
+    key: ["release prerelease"],
+    term: ["sneak peek", "coming soon", "testing"],
+  },
+  {
+    key: ["first contribution", "welcome"],
+    term: ["welcome", "welcome aboard", "hello friend"],
+  },
+  {
+    key: ["first merge", "first pr merged"],
+    term: ["first time", "proud", "you did it"],
+  },
 ];
 
-async function getGifs(term) {
-  const url = "https://tenor.googleapis.com/v2/search";
-  try {
-    const response = await axios.get(url, {
-      params: {
-        q: encodeURIComponent(term),
-        key: process.env.API_KEY,
-        client_key: process.env.CLIENT_KEY,
-        limit: gifLimit,
-      },
-    });
-    const gifUrls = response.data.results;
-    if (gifUrls.length > 0) {
-      const topGifs =
-        gifUrls[0]["media_formats"]["tinygif"].url || "No GIF found.";
-      return topGifs;
+const gifProviders = { tenor, giphy, local };
+
+// Top result, or a random one when gif_randomised is on
+function pickGif(results, gifSettings) {
+  if (gifSettings.gif_randomised) {
+    return results[Math.floor(Math.random() * results.length)];
+  }
+  return results[0];
+}
+
+// Count a provider search and its duration in the metrics
+function recordProviderRequest(provider, outcome, started) {
+  incrementCounter("octopaji_gif_requests_total", { provider, outcome });
+  observeDuration(
+    "octopaji_gif_request_duration_seconds",
+    { provider },
+    (Date.now() - started) / 1000
+  );
+}
+
+// Ask each provider in the configured order, the first one with safe results
+// wins. Resolves to { id, url, provider }, the content_safety fallback GIF
+// when nothing safe was found, or null when there is no fallback either.
+// gifSettings and contentSafety default to app.yml, pass the repo config to
+// override them. repoKey ("owner/repo") enables the no-repeat history.
+async function getGifs(
+  term,
+  gifSettings = defaultConfig.bot.gif_settings,
+  repoKey = null,
+  contentSafety = defaultConfig.bot.content_safety
+) {
+  if (containsBlockedTerm(term, contentSafety)) {
+    logger.info(`Search term "${term}" is blocked, using the fallback GIF.`);
+    return getFallbackGif(contentSafety);
+  }
+
+  for (const providerName of gifSettings.providers) {
+    const provider = gifProviders[providerName];
+    if (!provider || !provider.isAvailable(gifSettings)) {
+      continue;
+    }
+
+    const started = Date.now();
+    try {
+      const found = await provider.search(term, gifSettings, contentSafety);
+      recordProviderRequest(providerName, "success", started);
+      const results = filterSafeGifs(found, provider, contentSafety);
+      if (results.length > 0) {
+        const gif = pickGif(
+          filterRecentGifs(repoKey, results, provider),
+          gifSettings
+        );
+        recordGif(repoKey, gif, provider, gifSettings.no_repeat_window);
+        return { ...gif, provider };
+      }
+    } catch (error) {
+      recordProviderRequest(providerName, "error", started);
+      logger.error(`Error fetching gif from ${providerName}`, { error });
     }
-  } catch (error) {
-    console.error("Error fetching gif:", error);
-    return "Error fetching gif";
   }
+
+  logger.warn(`No safe GIF found for "${term}", using the fallback GIF.`);
+  return getFallbackGif(contentSafety);
 }
 
-export {
-  gifWidth,
-  gifHeight,
-  gifLimit,
-  gifRandomised,
-  getGifs,
-  keySearchTerms,
-};
+export { gifProviders, getGifs, keySearchTerms };
@@ -0,0 +1,311 @@
+import { createOctokitInstance } from "./github.js";
+import { globToRegExp, applyLabelRules } from "./labels.js";
+import { getItem, setItem } from "./storage.js";
+import { logger, withLogContext } from "./logger.js";
+
+// Picks assignees for new issues/PRs and reviewers for PRs, with the
+// strategy set in `assignment`:
+//   codeowners  - owners of the PR's changed files in CODEOWNERS, issues and
+//                 files without an owner use the `fallback` strategy
+//   round_robin - the next person of the team after the last one picked
+//   least_load  - whoever has the fewest open issues/PRs assigned
+// The rotation is stored per repo as "owner/repo" -> { assignees, reviewers }
+// with the last login picked for each.
+const collection = "assignment";
+
+const codeownersPaths = [".github/CODEOWNERS", "CODEOWNERS", "docs/CODEOWNERS"];
+
+// CODEOWNERS as [{ pattern, owners }], in file order
+async function fetchCodeowners(octokit, owner, repo) {
+  for (const path of codeownersPaths) {
+    try {
+      const { data } = await octokit.repos.getContent({ owner, repo, path });
+      const text = Buffer.from(data.content, "base64").toString("utf8");
+      return parseCodeowners(text);
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+  }
+  return [];
+}
+
+function parseCodeowners(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/#.*/, "").trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [pattern, ...owners] = line.split(/\s+/);
+      return { pattern, owners };
+    });
+}
+
+// CODEOWNERS uses gitignore patterns: a "/" at the start or in the middle
+// anchors to the root, otherwise it matches at any depth ("api/" too), a
+// directory matches all below
+function codeownersMatcher(pattern) {
+  const anchored = pattern.replace(/\/$/, "").includes("/");
+  let glob = pattern.replace(/^\//, "");
+  if (glob.endsWith("/")) {
+    glob = `${glob}**`;
+  }
+  if (!anchored) {
+    glob = `**/${glob}`;
+  }
+
+  const exact = globToRegExp(glob);
+  const below = globToRegExp(`${glob}/**`);
+  return (file) => exact.test(file) || below.test(file);
+}
+
+// Owner -> the first of the files they own, the last matching CODEOWNERS
+// line wins per file
+function ownershipOfFiles(rules, files) {
+  const matchers = rules.map((rule) => codeownersMatcher(rule.pattern));
+  const ownership = new Map();
+
+  for (const file of files) {
+    for (let i = rules.length - 1; i >= 0; i--) {
+      if (matchers[i](file)) {
+        rules[i].owners
+          .filter((owner) => !ownership.has(owner))
+          .forEach((owner) => ownership.set(owner, file));
+        break;
+      }
+    }
+  }
+  return ownership;
+}
+
+function ownersOfFiles(rules, files) {
+  return Array.from(ownershipOfFiles(rules, files).keys());
+}
+
+// The configured team, or everyone with push access when it's empty
+async function teamMembers(octokit, owner, repo, settings) {
+  if (settings.team.length > 0) {
+    return settings.team;
+  }
+
+  const collaborators = await octokit.paginate(
+    octokit.repos.listCollaborators,
+    {
+      owner,
+      repo,
+      per_page: 100,
+    }
+  );
+  return collaborators
+    .filter((collab) => collab.type !== "Bot")
+    .filter((collab) => collab.permissions.admin || collab.permissions.push)
+    .map((collab) => collab.login);
+}
+
+// The `count` people after the one picked last time, wrapping around
+function pickRoundRobin(candidates, last, count) {
+  const sorted = [...candidates].sort((a, b) => a.localeCompare(b));
+  const start = sorted.indexOf(last) + 1;
+  const picked = [];
+  for (let i = 0; i < Math.min(count, sorted.length); i++) {
+    picked.push(sorted[(start + i) % sorted.length]);
+  }
+  return picked;
+}
+
+// Open issues and PRs assigned to each login, counted in one request over
+// the repo's 100 most recently updated open ones
+async function openAssignments(octokit, owner, repo, logins) {
+  const { data } = await octokit.issues.listForRepo({
+    owner,
+    repo,
+    state: "open",
+    sort: "updated",
+    per_page: 100,
+  });
+
+  const counts = new Map(logins.map((login) => [login.toLowerCase(), 0]));
+  for (const item of data) {
+    for (const assignee of item.assignees || []) {
+      const login = assignee.login.toLowerCase();
+      if (counts.has(login)) {
+        counts.set(login, counts.get(login) + 1);
+      }
+    }
+  }
+  return counts;
+}
+
+// The `count` people with the fewest open assignments, as { login, open }
+async function pickLeastLoad(octokit, owner, repo, candidates, count) {
+  const counts = await openAssignments(octokit, owner, repo, candidates);
+  const loads = candidates.map((login) => ({
+    login,
+    open: counts.get(login.toLowerCase()),
+  }));
+  return loads
+    .sort((a, b) => a.open - b.open || a.login.localeCompare(b.login))
+    .slice(0, count);
+}
+
+// Pick `count` logins for the issue or PR of the payload, reviewers can
+// also be "org/team" handles from CODEOWNERS. `kind` is "assignees" or
+// "reviewers", each has its own rotation. Resolves to { logins, reason },
+// the reason ends up in the audit trail.
+async function pickPeople(octokit, payload, config, kind, strategy, count) {
+  const settings = config.bot.assignment;
+  const owner = payload.repository.owner.login;
+  const repo = payload.repository.name;
+  const repoKey = payload.repository.full_name;
+  const item = payload.pull_request || payload.issue;
+
+  // People on vacation, and PR authors can't review their own PR
+  const excluded = new Set(
+    settings.exclude.map((login) => login.toLowerCase())
+  );
+  if (kind === "reviewers") {
+    excluded.add(item.user.login.toLowerCase());
+  }
+  const allowed = (login) => !excluded.has(login.toLowerCase());
+
+  if (strategy === "codeowners" && payload.pull_request) {
+    const rules = await fetchCodeowners(octokit, owner, repo);
+    const files = await octokit.paginate(octokit.pulls.listFiles, {
+      owner,
+      repo,
+      pull_number: item.number,
+      per_page: 100,
+    });
+    const filenames = files.map((file) => file.filename);
+    const ownership = ownershipOfFiles(rules, filenames);
+    const owners = Array.from(ownership.keys())
+      .map((handle) => handle.replace(/^@/, ""))
+      .filter((handle) => !handle.includes("@")) // emails can't be picked
+      .filter((handle) => kind === "reviewers" || !handle.includes("/"))
+      .filter(allowed)
+      .slice(0, count);
+    if (owners.length > 0) {
+      const owned = owners.map(
+        (login) => `@${login} owns ${ownership.get(`@${login}`)}`
+      );
+      return { logins: owners, reason: `CODEOWNERS: ${owned.join(", ")}` };
+    }
+  }
+  let prefix = "";
+  if (strategy === "codeowners") {
+    strategy = settings.fallback;
+    prefix = "no CODEOWNERS match, ";
+  }
+
+  const team = await teamMembers(octokit, owner, repo, settings);
+  const candidates = team.filter(allowed);
+  if (candidates.length === 0) {
+    return { logins: [], reason: null };
+  }
+
+  if (strategy === "least_load") {
+    const loads = await pickLeastLoad(octokit, owner, repo, candidates, count);
+    const open = loads.map((load) => `@${load.login} has ${load.open} open`);
+    return {
+      logins: loads.map((load) => load.login),
+      reason: `${prefix}least load: ${open.join(", ")}`,
+    };
+  }
+
+  const rotation = getItem(collection, repoKey) || {};
+  const last = rotation[kind];
+  const picked = pickRoundRobin(candidates, last, count);
+  setItem(collection, repoKey, {
+    ...rotation,
+    [kind]: picked[picked.length - 1],
+  });
+  const turn = last ? `next in the team after @${last}` : "first in the team";
+  return { logins: picked, reason: `${prefix}round robin: ${turn}` };
+}
+
+// Assign the new issue or PR with the configured strategy
+async function assignItem(payload, config) {
+  const settings = config.bot.assignment;
+  const octokit = createOctokitInstance(payload.installation.id);
+  const item = payload.pull_request || payload.issue;
+
+  const { logins: assignees, reason } = await pickPeople(
+    octokit,
+    payload,
+    config,
+    "assignees",
+    settings.strategy,
+    settings.count
+  );
+  if (assignees.length === 0) {
+    return [];
+  }
+
+  await withLogContext({ reason }, () =>
+    octokit.issues.addAssignees({
+      owner: payload.repository.owner.login,
+      repo: payload.repository.name,
+      issue_number: item.number,
+      assignees,
+    })
+  );
+  logger.info(`Assigned ${assignees.join(", ")} to #${item.number}`, {
+    reason,
+  });
+  return assignees;
+}
+
+// Request reviews on the PR, when `assignment.reviewers` is enabled
+async function requestReviewers(payload, config) {
+  const settings = config.bot.assignment.reviewers;
+  const pr = payload.pull_request;
+  if (!settings.enabled || pr.draft) {
+    return [];
+  }
+
+  const octokit = createOctokitInstance(payload.installation.id);
+  const { logins: picked, reason } = await pickPeople(
+    octokit,
+    payload,
+    config,
+    "reviewers",
+    settings.strategy,
+    settings.count
+  );
+  if (picked.length === 0) {
+    return [];
+  }
+
+  // "org/team" handles from CODEOWNERS are team reviewers
+  const teams = picked.filter((login) => login.includes("/"));
+  await withLogContext({ reason }, () =>
+    octokit.pulls.requestReviewers({
+      owner: payload.repository.owner.login,
+      repo: payload.repository.name,
+      pull_number: pr.number,
+      reviewers: picked.filter((login) => !login.includes("/")),
+      team_reviewers: teams.map((team) => team.split("/")[1]),
+    })
+  );
+  logger.info(`Requested reviews from ${picked.join(", ")} on #${pr.number}`, {
+    reason,
+  });
+  return picked;
+}
+
+// Label a new issue or PR, then assign it when it got labels
+async function autoLabelAndAssign(payload, config) {
+  const { add } = await applyLabelRules(payload, config);
+  if (add.length > 0) {
+    await assignItem(payload, config);
+  }
+}
+
+export {
+  parseCodeowners,
+  ownersOfFiles,
+  assignItem,
+  requestReviewers,
+  autoLabelAndAssign,
+};
@@ -0,0 +1,206 @@
+import { defaultConfig } from "./config.js";
+import { getLogContext } from "./logger.js";
+import { getItem, setItem, deleteItem, listItems } from "./storage.js";
+
+// Every change the bot makes on GitHub (comments, labels, assignees, ...)
+// is recorded with a link to it and the reason it was made, so maintainers
+// can look up why the bot did something. Entries are stored per
+// installation, oldest first, and capped at `audit.max_entries`.
+const collection = "audit";
+const { max_entries: maxEntries } = defaultConfig.audit;
+
+// Octokit routes that change something -> what the entry says about it
+const auditedRoutes = {
+  "POST /repos/{owner}/{repo}/issues/{issue_number}/comments": (
+    options,
+    data
+  ) => ({ action: "comment_created", url: data.html_url }),
+  "PATCH /repos/{owner}/{repo}/issues/comments/{comment_id}": (
+    options,
+    data
+  ) => ({
+    action: "comment_updated",
+    number: data.issue_url ? Number(data.issue_url.split("/").pop()) : null,
+    url: data.html_url,
+  }),
+  "POST /repos/{owner}/{repo}/issues/{issue_number}/labels": (options) => ({
+    action: "labels_added",
+    details: { labels: options.labels },
+  }),
+  "DELETE /repos/{owner}/{repo}/issues/{issue_number}/labels/{name}": (
+    options
+  ) => ({ action: "label_removed", details: { label: options.name } }),
+  "POST /repos/{owner}/{repo}/labels": (options) => ({
+    action: "label_created",
+    details: { label: options.name },
+    url: `https://github.com/${options.owner}/${
+      options.repo
+    }/labels/${encodeURIComponent(options.name)}`,
+  }),
+  "POST /repos/{owner}/{repo}/issues/{issue_number}/assignees": (options) => ({
+    action: "assignees_added",
+    details: { assignees: options.assignees },
+  }),
+  "POST /repos/{owner}/{repo}/pulls/{pull_number}/requested_reviewers": (
+    options
+  ) => ({
+    action: "reviewers_requested",
+    details: {
+      reviewers: options.reviewers,
+      team_reviewers: options.team_reviewers,
+    },
+  }),
+  "PATCH /repos/{owner}/{repo}/issues/{issue_number}": (options, data) => ({
+    action: options.state === "closed" ? "issue_closed" : "issue_updated",
+    url: data.html_url,
+  }),
+  "POST /repos/{owner}/{repo}/commits/{commit_sha}/comments": (
+    options,
+    data
+  ) => ({
+    action: "commit_comment_created",
+    details: { sha: options.commit_sha },
+    url: data.html_url,
+  }),
+  "PATCH /repos/{owner}/{repo}/releases/{release_id}": (options, data) => ({
+    action: "release_updated",
+    url: data.html_url,
+  }),
+};
+
+function htmlUrl(options, number) {
+  const kind = options.pull_number ? "pull" : "issues";
+  return `https://github.com/${options.owner}/${options.repo}/${kind}/${number}`;
+}
+
+function recordEntry(installationId, entry) {
+  const entries = getItem(collection, installationId) || [];
+  entries.push(entry);
+  setItem(collection, installationId, entries.slice(-maxEntries));
+}
+
+// Octokit after-hook: records the request when it changed something
+function auditRequest(installationId, options, data) {
+  const describe = auditedRoutes[`${options.method} ${options.url}`];
+  if (!describe) {
+    return;
+  }
+
+  const context = getLogContext();
+  const described = describe(options, data || {});
+  const number =
+    described.number || options.issue_number || options.pull_number || null;
+  recordEntry(installationId, {
+    time: new Date().toISOString(),
+    action: described.action,
+    repo: `${options.owner}/${options.repo}`,
+    number,
+    url: described.url || (number ? htmlUrl(options, number) : null),
+    details: described.details || {},
+    reason: context.reason || null,
+    event: context.event || null,
+    delivery: context.delivery || null,
+  });
+}
+
+// Side effects that don't go through a REST route, e.g. GraphQL mutations
+function recordAudit(installationId, entry) {
+  const context = getLogContext();
+  recordEntry(installationId, {
+    time: new Date().toISOString(),
+    number: null,
+    url: null,
+    details: {},
+    reason: context.reason || null,
+    event: context.event || null,
+    delivery: context.delivery || null,
+    ...entry,
+  });
+}
+
+// Entries newest first, filtered by { installation, repo, number }
+function listAuditEntries(filters = {}) {
+  const { installation, repo, number } = filters;
+  const entries = [];
+  for (const [installationId, items] of listItems(collection)) {
+    if (installation && String(installation) !== installationId) {
+      continue;
+    }
+    for (const entry of [...items].reverse()) {
+      if (repo && entry.repo !== repo) continue;
+      if (number && entry.number !== Number(number)) continue;
+      entries.push({ installation: Number(installationId), ...entry });
+    }
+  }
+  return entries.sort((a, b) => b.time.localeCompare(a.time));
+}
+
+// What the entry did, e.g. "assigned @octocat"
+function describeEntry({ action, details }) {
+  const mention = (logins = []) => logins.map((login) => `@${login}`);
+  switch (action) {
+    case "comment_created":
+      return "commented";
+    case "comment_updated":
+      return "updated its comment";
+    case "labels_added":
+      return `added ${details.labels.join(", ")}`;
+    case "label_removed":
+      return `removed ${details.label}`;
+    case "label_created":
+      return `created the ${details.label} label`;
+    case "assignees_added":
+      return `assigned ${mention(details.assignees).join(", ")}`;
+    case "reviewers_requested": {
+      const teams = (details.team_reviewers || []).map(
+        (team) => `team ${team}`
+      );
+      const names = [...mention(details.reviewers), ...teams];
+      return `requested reviews from ${names.join(", ")}`;
+    }
+    case "issue_closed":
+      return "closed it";
+    default:
+      return action.replace(/_/g, " ");
+  }
+}
+
+// What a request would change, e.g. { number: 12, text: "added bug" }, for
+// the ones shadow mode holds back
+function describeRequest(options) {
+  const route = `${options.method} ${options.url}`;
+  const describe = auditedRoutes[route];
+  const described = describe ? describe(options, {}) : {};
+  return {
+    number:
+      described.number || options.issue_number || options.pull_number || null,
+    text: describe ? describeEntry({ details: {}, ...described }) : route,
+  };
+}
+
+// Markdown list of the entries, for the `why` command
+function formatAuditEntries(entries) {
+  return entries
+    .map((entry) => {
+      const time = entry.time.slice(0, 16).replace("T", " ");
+      const what = entry.url
+        ? `[${describeEntry(entry)}](${entry.url})`
+        : describeEntry(entry);
+      const why = entry.reason || `on ${entry.event || "an unknown event"}`;
+      return `- ${time} UTC: ${what}, ${why}`;
+    })
+    .join("\n");
+}
+
+function deleteAuditEntries(installationId) {
+  deleteItem(collection, installationId);
+}
+
+export {
+  auditRequest,
+  recordAudit,
+  describeRequest,
+  listAuditEntries,
+  formatAuditEntries,
+  deleteAuditEntries,
+};
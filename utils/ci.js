@@ -0,0 +1,232 @@
+import {
+  createOctokitInstance,
+  findBotComment,
+  postComment,
+} from "./github.js";
+import { findGif, generateComment } from "./reactions.js";
+import { getItem, setItem } from "./storage.js";
+import { commentMode } from "./sticky.js";
+import { logger } from "./logger.js";
+
+// Reacts to finished CI runs on PRs: GitHub Actions workflow runs, and check
+// runs of other CI apps (Actions reports its jobs as check runs too, those
+// are left to the workflow_run event). A failure gets a notice on the PR
+// with the failed jobs and their first annotations, which turns into a
+// "fixed" note once everything that failed passes again.
+// Stored per PR as "owner/repo#number" -> { sha, failing: { name: url } }
+const collection = "ci";
+
+// Hidden marker that lets us find (and update) our CI notice
+const ciMarker = "<!-- octopaji:ci -->";
+
+const failedConclusions = ["failure", "timed_out", "startup_failure"];
+
+// Open PRs with the commit as their head
+async function pullsForCommit(octokit, owner, repo, sha, pullRequests) {
+  if (pullRequests.length > 0) {
+    return pullRequests;
+  }
+  // Runs of PRs from forks come without pull_requests
+  const { data } = await octokit.repos.listPullRequestsAssociatedWithCommit({
+    owner,
+    repo,
+    commit_sha: sha,
+  });
+  return data.filter((pr) => pr.state === "open" && pr.head.sha === sha);
+}
+
+// "- path:line message" lines of the check run's first annotations
+async function annotationLines(octokit, owner, repo, checkRunId, settings) {
+  const { data } = await octokit.checks.listAnnotations({
+    owner,
+    repo,
+    check_run_id: checkRunId,
+    per_page: settings.max_annotations,
+  });
+  return data.slice(0, settings.max_annotations).map((annotation) => {
+    const message = annotation.message.split("\n")[0];
+    return `  > \`${annotation.path}:${annotation.start_line}\` ${message}`;
+  });
+}
+
+// The failed jobs of the run as { name, url, annotations }
+async function failedJobs(octokit, owner, repo, run, settings) {
+  if (run.kind === "check_run") {
+    const annotations = await annotationLines(
+      octokit,
+      owner,
+      repo,
+      run.id,
+      settings
+    );
+    return [{ name: run.name, url: run.url, annotations }];
+  }
+
+  const jobs = await octokit.paginate(octokit.actions.listJobsForWorkflowRun, {
+    owner,
+    repo,
+    run_id: run.id,
+    filter: "latest",
+    per_page: 100,
+  });
+  const failed = jobs
+    .filter((job) => failedConclusions.includes(job.conclusion))
+    .slice(0, settings.max_jobs);
+
+  const result = [];
+  for (const job of failed) {
+    // A job of a workflow is also a check run, with the same id
+    const annotations = await annotationLines(
+      octokit,
+      owner,
+      repo,
+      job.id,
+      settings
+    );
+    result.push({ name: job.name, url: job.html_url, annotations });
+  }
+  return result;
+}
+
+function formatFailures(run, jobs) {
+  if (jobs.length === 0) {
+    return `- **${run.name}** ([logs](${run.url}))`;
+  }
+  return jobs
+    .map((job) =>
+      [
+        `- **${run.name} / ${job.name}** ([logs](${job.url}))`,
+        ...job.annotations,
+      ].join("\n")
+    )
+    .join("\n");
+}
+
+// Create or update the notice on the PR, `event` is the message key. In
+// sticky mode the notice goes to the bot's single comment on the PR.
+async function writeNotice(context, pr, body, event) {
+  const { octokit, owner, repo, payload, config } = context;
+  if (commentMode(config, event) === "sticky") {
+    await postComment({ ...payload, pull_request: pr }, body, {
+      config,
+      event,
+    });
+    return;
+  }
+
+  const existing = await findBotComment(
+    octokit,
+    owner,
+    repo,
+    pr.number,
+    ciMarker
+  );
+  if (existing) {
+    await octokit.issues.updateComment({
+      owner,
+      repo,
+      comment_id: existing.id,
+      body: `${ciMarker}\n${body}`,
+    });
+  } else {
+    await octokit.issues.createComment({
+      owner,
+      repo,
+      issue_number: pr.number,
+      body: `${ciMarker}\n${body}`,
+    });
+  }
+}
+
+async function reportFailure(context, pr, run, state) {
+  const { octokit, owner, repo, payload, config } = context;
+  const settings = config.bot.ci;
+
+  // Another failure on a commit we already reported is left alone
+  if (
+    settings.once_per_sha &&
+    state.sha === run.sha &&
+    Object.keys(state.failing).length > 0
+  ) {
+    logger.info(`CI notice for ${run.sha} on #${pr.number} already posted.`);
+    return { ...state, failing: { ...state.failing, [run.name]: run.url } };
+  }
+
+  const jobs = await failedJobs(octokit, owner, repo, run, settings);
+  const prPayload = { ...payload, pull_request: pr };
+  const gif = await findGif("ci failed", prPayload, config);
+  const notice = generateComment("ci_failed", prPayload, gif, config, {
+    workflow: run.name,
+    sha: run.sha.slice(0, 7),
+    failures: formatFailures(run, jobs),
+  });
+  await writeNotice(context, pr, notice, "ci_failed");
+  logger.info(`Reported CI failure of ${run.name} on #${pr.number}`);
+
+  const failing = state.sha === run.sha ? state.failing : {};
+  return { sha: run.sha, failing: { ...failing, [run.name]: run.url } };
+}
+
+async function reportSuccess(context, pr, run, state) {
+  const { payload, config } = context;
+  if (!state.failing[run.name]) {
+    return state;
+  }
+
+  const failing = { ...state.failing };
+  delete failing[run.name];
+  if (Object.keys(failing).length > 0) {
+    return { ...state, failing };
+  }
+
+  const prPayload = { ...payload, pull_request: pr };
+  const gif = await findGif("ci fixed", prPayload, config);
+  const note = generateComment("ci_fixed", prPayload, gif, config, {
+    workflow: run.name,
+    sha: run.sha.slice(0, 7),
+  });
+  if (config.bot.ci.on_fixed === "edit") {
+    await writeNotice(context, pr, note, "ci_fixed");
+  } else {
+    await postComment(prPayload, note, { config, event: "ci_fixed" });
+  }
+  logger.info(`CI is green again on #${pr.number}`);
+
+  return { sha: run.sha, failing };
+}
+
+// `run` is { kind, id, name, url, sha, conclusion, pullRequests }
+async function handleCompletedRun(payload, config, run) {
+  if (!config.bot.ci.enabled) {
+    return;
+  }
+
+  const failed = failedConclusions.includes(run.conclusion);
+  if (!failed && run.conclusion !== "success") {
+    // Cancelled, skipped and neutral runs say nothing about the code
+    return;
+  }
+
+  const octokit = createOctokitInstance(payload.installation.id);
+  const owner = payload.repository.owner.login;
+  const repo = payload.repository.name;
+  const context = { octokit, owner, repo, payload, config };
+
+  const pulls = await pullsForCommit(
+    octokit,
+    owner,
+    repo,
+    run.sha,
+    run.pullRequests
+  );
+  for (const pr of pulls) {
+    const key = `${payload.repository.full_name}#${pr.number}`;
+    const state = getItem(collection, key) || { sha: null, failing: {} };
+    const next = failed
+      ? await reportFailure(context, pr, run, state)
+      : await reportSuccess(context, pr, run, state);
+    setItem(collection, key, next);
+  }
+}
+
+export { formatFailures, handleCompletedRun };
@@ -0,0 +1,129 @@
+import { renderMessage, templateVariables } from "./templates.js";
+import { logger, withLogContext } from "./logger.js";
+
+// Slash commands in issue and PR comments, e.g. "/octopaji gif party"
+const commandPrefix = "/octopaji";
+
+// Repo roles from least to most access
+const roleRanks = ["none", "read", "triage", "write", "maintain", "admin"];
+
+const commands = new Map(); // name -> command
+
+// A command is { name, usage, description, permission, minArgs, run }.
+// run(context, args) gets { payload, config, octokit, reply, replyWith } and
+// the words after the command name. reply posts text, replyWith(key,
+// variables) posts a locale message. permission is the lowest repo role
+// allowed to use the command.
+function registerCommand(command) {
+  commands.set(command.name, { permission: "read", minArgs: 0, ...command });
+}
+
+function getCommands() {
+  return Array.from(commands.values());
+}
+
+// Every line starting with the prefix is a command, code blocks are skipped
+function parseCommands(body) {
+  const parsed = [];
+  let inCodeBlock = false;
+
+  for (const line of (body || "").split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith("```")) {
+      inCodeBlock = !inCodeBlock;
+      continue;
+    }
+
+    const [prefix, name, ...args] = trimmed.split(/\s+/);
+    if (inCodeBlock || prefix !== commandPrefix) {
+      continue;
+    }
+    parsed.push({ name: (name || "").toLowerCase(), args });
+  }
+
+  return parsed;
+}
+
+async function getCommenterRole(octokit, owner, repo, username) {
+  const { data } = await octokit.repos.getCollaboratorPermissionLevel({
+    owner,
+    repo,
+    username,
+  });
+  // Custom roles aren't ranked, use the base permission behind them
+  return roleRanks.includes(data.role_name) ? data.role_name : data.permission;
+}
+
+function hasPermission(role, required) {
+  return roleRanks.indexOf(role) >= roleRanks.indexOf(required);
+}
+
+function formatUsage(command) {
+  return `\`${commandPrefix} ${command.usage || command.name}\``;
+}
+
+// Run every command in the comment, resolves to false when there were none
+async function runCommands(context) {
+  const { payload, config, octokit, reply } = context;
+  const parsed = parseCommands(payload.comment.body);
+  if (parsed.length === 0) {
+    return false;
+  }
+
+  const owner = payload.repository.owner.login;
+  const repo = payload.repository.name;
+  const username = payload.comment.user.login;
+  let role = null;
+
+  const variables = { ...templateVariables(payload), prefix: commandPrefix };
+  const replyWith = (key, extra) =>
+    reply(renderMessage(config, key, { ...variables, ...extra }));
+
+  for (const { name, args } of parsed) {
+    const command = commands.get(name);
+    if (!command) {
+      await replyWith("command_unknown", { command: name });
+      continue;
+    }
+
+    if (args.length < command.minArgs) {
+      await replyWith("command_usage", { usage: formatUsage(command) });
+      continue;
+    }
+
+    try {
+      role = role || (await getCommenterRole(octokit, owner, repo, username));
+      if (!hasPermission(role, command.permission)) {
+        await replyWith("command_forbidden", {
+          command: name,
+          permission: command.permission,
+        });
+        continue;
+      }
+
+      const reason = `${commandPrefix} ${name} by @${username}`;
+      logger.info(`Running command ${name}`, { user: username });
+      await withLogContext({ reason }, () =>
+        command.run({ ...context, replyWith }, args)
+      );
+    } catch (error) {
+      logger.error(`Command ${name} failed`, { error });
+      await replyWith("command_failed", {
+        command: name,
+        error: error.message,
+      });
+    }
+  }
+
+  return true;
+}
+
+export {
+  commandPrefix,
+  registerCommand,
+  getCommands,
+  parseCommands,
+  hasPermission,
+  formatUsage,
+  runCommands,
+};
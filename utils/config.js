@@ -0,0 +1,396 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import yaml from "js-yaml";
+import { logger } from "./logger.js";
+import { messageKeys } from "./templates.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const configPath = path.join(__dirname, "./../app.yml");
+
+// Path of the per-repository config file, relative to the repo root
+const repoConfigPath = ".github/octopaji.yml";
+
+// Shape of the config, used to validate the per-repository file
+const configSchema = {
+  type: "object",
+  properties: {
+    bot: {
+      type: "object",
+      properties: {
+        event_triggers: { type: "array", items: { type: "string" } },
+        gif_settings: {
+          type: "object",
+          properties: {
+            gif_limit: { type: "number" },
+            gif_randomised: { type: "boolean" },
+            no_repeat_window: { type: "number" },
+            gif_width: { type: "number" },
+            gif_height: { type: "number" },
+            providers: {
+              type: "array",
+              items: { type: "string", enum: ["tenor", "giphy", "local"] },
+            },
+          },
+        },
+        content_safety: {
+          type: "object",
+          properties: {
+            rating: { type: "string", enum: ["g", "pg", "pg-13", "r"] },
+            blocked_terms: { type: "array", items: { type: "string" } },
+            blocked_gifs: { type: "array", items: { type: "string" } },
+            corporate_mode: { type: "boolean" },
+            allowed_gifs: { type: "array", items: { type: "string" } },
+            fallback_gif: { type: "string" },
+          },
+        },
+        merge_conflicts: {
+          type: "object",
+          properties: {
+            label: { type: "string" },
+            poll_attempts: { type: "number" },
+            poll_interval_ms: { type: "number" },
+          },
+        },
+        similarity: {
+          type: "object",
+          properties: {
+            threshold: { type: "number" },
+            max_results: { type: "number" },
+            max_documents: { type: "number" },
+          },
+        },
+        comments: {
+          type: "object",
+          properties: {
+            mode: { type: "string", enum: ["fresh", "sticky"] },
+            events: {
+              type: "object",
+              keys: messageKeys,
+              additionalProperties: {
+                type: "string",
+                enum: ["fresh", "sticky"],
+              },
+            },
+          },
+        },
+        label_rules: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              name: { type: "string" },
+              keyword: { type: "string", format: "regex" },
+              title: { type: "string", format: "regex" },
+              body: { type: "string", format: "regex" },
+              files: { type: "array", items: { type: "string" } },
+              author_association: {
+                type: "array",
+                items: {
+                  type: "string",
+                  enum: [
+                    "OWNER",
+                    "MEMBER",
+                    "COLLABORATOR",
+                    "CONTRIBUTOR",
+                    "FIRST_TIME_CONTRIBUTOR",
+                    "FIRST_TIMER",
+                    "MANNEQUIN",
+                    "NONE",
+                  ],
+                },
+              },
+              base_branch: { type: "array", items: { type: "string" } },
+              label: { type: "string" },
+              add: { type: "array", items: { type: "string" } },
+              remove: { type: "array", items: { type: "string" } },
+            },
+          },
+        },
+        assignment: {
+          type: "object",
+          properties: {
+            strategy: {
+              type: "string",
+              enum: ["codeowners", "round_robin", "least_load"],
+            },
+            fallback: { type: "string", enum: ["round_robin", "least_load"] },
+            count: { type: "number" },
+            team: { type: "array", items: { type: "string" } },
+            exclude: { type: "array", items: { type: "string" } },
+            reviewers: {
+              type: "object",
+              properties: {
+                enabled: { type: "boolean" },
+                strategy: {
+                  type: "string",
+                  enum: ["codeowners", "round_robin", "least_load"],
+                },
+                count: { type: "number" },
+              },
+            },
+          },
+        },
+        pushes: {
+          type: "object",
+          properties: {
+            enabled: { type: "boolean" },
+            commit_comments: { type: "boolean" },
+            max_commits: { type: "number" },
+          },
+        },
+        ci: {
+          type: "object",
+          properties: {
+            enabled: { type: "boolean" },
+            once_per_sha: { type: "boolean" },
+            on_fixed: { type: "string", enum: ["edit", "comment"] },
+            max_jobs: { type: "number" },
+            max_annotations: { type: "number" },
+          },
+        },
+        cooldowns: {
+          type: "object",
+          properties: {
+            repo_seconds: { type: "number" },
+            thread_seconds: { type: "number" },
+          },
+        },
+        stale: {
+          type: "object",
+          properties: {
+            enabled: { type: "boolean" },
+            days_until_stale: { type: "number" },
+            days_until_close: { type: "number" },
+            label: { type: "string" },
+            exempt_labels: { type: "array", items: { type: "string" } },
+            include_prs: { type: "boolean" },
+            max_per_run: { type: "number" },
+          },
+        },
+        releases: {
+          type: "object",
+          properties: {
+            celebrate: { type: "boolean" },
+            tags: { type: "boolean" },
+            max_comments: { type: "number" },
+            notes: {
+              type: "object",
+              properties: {
+                enabled: { type: "boolean" },
+                target: { type: "string", enum: ["body", "discussion"] },
+                discussion_category: { type: "string" },
+                groups: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      label: { type: "string" },
+                      title: { type: "string" },
+                    },
+                    required: ["label", "title"],
+                  },
+                },
+                other_title: { type: "string" },
+              },
+            },
+          },
+        },
+        welcome: {
+          type: "object",
+          properties: {
+            enabled: { type: "boolean" },
+            associations: { type: "array", items: { type: "string" } },
+            label: { type: "string" },
+            celebrate_first_merge: { type: "boolean" },
+          },
+        },
+        shadow: {
+          type: "object",
+          properties: {
+            enabled: { type: "boolean" },
+            events: { type: "array", items: { type: "string" } },
+            report: { type: "string", enum: ["log", "check_run", "issue"] },
+            check_run_name: { type: "string" },
+          },
+        },
+        labels: {
+          type: "object",
+          additionalProperties: {
+            type: "object",
+            properties: {
+              color: { type: "string", format: "color" },
+              description: { type: "string" },
+            },
+          },
+        },
+        locale: { type: "string" },
+        messages: {
+          type: "object",
+          additionalProperties: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+// Load the YAML config
+let defaultConfig;
+try {
+  const fileContents = fs.readFileSync(configPath, "utf8");
+  defaultConfig = yaml.load(fileContents);
+} catch (e) {
+  logger.error("Error loading YAML config", { error: e });
+}
+
+const repoConfigCache = new Map(); // "owner/repo" -> merged config
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+// Returns a list of human readable errors, empty when the value is valid
+function validateConfig(value, schema = configSchema, at = "config") {
+  const errors = [];
+
+  if (typeOf(value) !== schema.type) {
+    errors.push(`${at} should be ${schema.type}, got ${typeOf(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} should be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (schema.format === "regex") {
+    try {
+      new RegExp(value);
+    } catch (e) {
+      errors.push(`${at} is not a valid regular expression`);
+    }
+  }
+
+  if (schema.format === "color" && !/^#?[0-9a-f]{6}$/i.test(value)) {
+    errors.push(`${at} is not a hex color like "d73a4a"`);
+  }
+
+  if (schema.type === "array" && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateConfig(item, schema.items, `${at}[${index}]`));
+    });
+  }
+
+  if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${at}.${key} is required`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema =
+        (schema.properties && schema.properties[key]) ||
+        schema.additionalProperties;
+      if (!childSchema) {
+        errors.push(`${at}.${key} is not a known setting`);
+        continue;
+      }
+      if (schema.keys && !schema.keys.includes(key)) {
+        errors.push(`${at}.${key} is not a message key`);
+        continue;
+      }
+      errors.push(...validateConfig(child, childSchema, `${at}.${key}`));
+    }
+  }
+
+  return errors;
+}
+
+// Objects are merged key by key, anything else (arrays included) is replaced
+function mergeConfig(base, override) {
+  if (typeOf(base) !== "object" || typeOf(override) !== "object") {
+    return override === undefined ? base : override;
+  }
+
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = mergeConfig(base[key], value);
+  }
+  return merged;
+}
+
+// Fetch .github/octopaji.yml from the repo and merge it over app.yml
+async function getRepoConfig(octokit, owner, repo) {
+  const cacheKey = `${owner}/${repo}`;
+  if (repoConfigCache.has(cacheKey)) {
+    return repoConfigCache.get(cacheKey);
+  }
+
+  let config = defaultConfig;
+  try {
+    const { data } = await octokit.repos.getContent({
+      owner,
+      repo,
+      path: repoConfigPath,
+    });
+    const repoConfig =
+      yaml.load(Buffer.from(data.content, "base64").toString("utf8")) || {};
+    const errors = validateConfig(repoConfig);
+
+    if (errors.length > 0) {
+      const details = errors.join("\n");
+      logger.error(`Ignoring invalid ${repoConfigPath}`, {
+        repo: cacheKey,
+        details,
+      });
+    } else {
+      config = mergeConfig(defaultConfig, repoConfig);
+    }
+  } catch (error) {
+    if (error.status !== 404) {
+      logger.error(`Failed to load ${repoConfigPath}`, {
+        repo: cacheKey,
+        error,
+      });
+      // Don't cache, so the next event tries again
+      return config;
+    }
+  }
+
+  repoConfigCache.set(cacheKey, config);
+  return config;
+}
+
+function invalidateRepoConfig(owner, repo) {
+  repoConfigCache.delete(`${owner}/${repo}`);
+}
+
+// True when a push to the default branch touched the repo config file
+function pushChangesRepoConfig(payload) {
+  const defaultBranch = payload.repository.default_branch;
+  if (payload.ref !== `refs/heads/${defaultBranch}`) {
+    return false;
+  }
+
+  return (payload.commits || []).some((commit) =>
+    [
+      ...(commit.added || []),
+      ...(commit.modified || []),
+      ...(commit.removed || []),
+    ].includes(repoConfigPath)
+  );
+}
+
+export {
+  defaultConfig,
+  repoConfigPath,
+  validateConfig,
+  mergeConfig,
+  getRepoConfig,
+  invalidateRepoConfig,
+  pushChangesRepoConfig,
+};
@@ -0,0 +1,263 @@
+import {
+  createOctokitInstance,
+  findBotComment,
+  postComment,
+} from "./github.js";
+import { findGif, generateComment } from "./reactions.js";
+import { renderMessage, templateVariables } from "./templates.js";
+import { commentMode } from "./sticky.js";
+import { processesInline } from "./queue.js";
+import { defaultConfig } from "./config.js";
+import { logger } from "./logger.js";
+
+// Flags PRs that conflict with their base branch. GitHub computes
+// mergeability in the background after a push, so PRs are polled until
+// `mergeable` is known.
+
+// Hidden marker that lets us find (and update) our conflict notice
+const conflictMarker = "<!-- octopaji:merge-conflict -->";
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// PRs fetched at the same time while polling
+const maxConcurrentFetches = 5;
+
+const { inline_wait_ms: inlineWaitMs } = defaultConfig.queue;
+
+// poll_attempts, cut down in inline mode so the waits between them fit in
+// queue.inline_wait_ms: GitHub is waiting for the webhook's answer there
+function pollAttempts(settings) {
+  if (!processesInline()) {
+    return settings.poll_attempts;
+  }
+  const fitting = Math.floor(inlineWaitMs / settings.poll_interval_ms) + 1;
+  return Math.min(settings.poll_attempts, fitting);
+}
+
+// Run `fn` on every item, at most `limit` at a time, resolves to the results
+// in the items' order
+async function mapLimited(items, limit, fn) {
+  const results = [];
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  }
+  const workers = Math.min(limit, items.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+// Fetch the PRs until GitHub has worked out whether they can be merged. The
+// PRs still unknown are fetched again after each interval, all together, so
+// a base branch with many PRs takes no longer than one. Resolves to a Map of
+// PR number -> PR, PRs still unknown after the last attempt are left out.
+async function pollMergeable(octokit, owner, repo, pullNumbers, settings) {
+  const known = new Map();
+  let unknown = pullNumbers;
+
+  const attempts = pollAttempts(settings);
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    if (attempt > 1) {
+      await sleep(settings.poll_interval_ms);
+    }
+
+    const pulls = await mapLimited(
+      unknown,
+      maxConcurrentFetches,
+      async (pullNumber) => {
+        try {
+          const { data } = await octokit.pulls.get({
+            owner,
+            repo,
+            pull_number: pullNumber,
+          });
+          return data;
+        } catch (error) {
+          logger.error(`Failed to fetch #${pullNumber}`, { error });
+          return null;
+        }
+      }
+    );
+
+    unknown = [];
+    for (const pr of pulls) {
+      if (!pr) continue;
+      if (pr.mergeable !== null || pr.state !== "open") {
+        known.set(pr.number, pr);
+      } else {
+        unknown.push(pr.number);
+      }
+    }
+    if (unknown.length === 0) {
+      break;
+    }
+  }
+  return known;
+}
+
+async function flagConflict(context, pr) {
+  const { octokit, owner, repo, payload, config } = context;
+  const settings = config.bot.merge_conflicts;
+
+  await octokit.issues.addLabels({
+    owner,
+    repo,
+    issue_number: pr.number,
+    labels: [settings.label],
+  });
+
+  const prPayload = { ...payload, pull_request: pr };
+  const gif = await findGif("merge conflict", prPayload, config);
+  const notice = generateComment("merge_conflict", prPayload, gif, config);
+  if (commentMode(config, "merge_conflict") === "sticky") {
+    await postComment(prPayload, notice, { config, event: "merge_conflict" });
+    logger.info(`Flagged merge conflict on #${pr.number}`);
+    return;
+  }
+
+  const body = `${conflictMarker}\n${notice}`;
+
+  const existing = await findBotComment(
+    octokit,
+    owner,
+    repo,
+    pr.number,
+    conflictMarker
+  );
+  if (existing) {
+    await octokit.issues.updateComment({
+      owner,
+      repo,
+      comment_id: existing.id,
+      body,
+    });
+  } else {
+    await octokit.issues.createComment({
+      owner,
+      repo,
+      issue_number: pr.number,
+      body,
+    });
+  }
+  logger.info(`Flagged merge conflict on #${pr.number}`);
+}
+
+async function clearConflict(context, pr) {
+  const { octokit, owner, repo, payload, config } = context;
+  const settings = config.bot.merge_conflicts;
+
+  await octokit.issues.removeLabel({
+    owner,
+    repo,
+    issue_number: pr.number,
+    name: settings.label,
+  });
+
+  const prPayload = { ...payload, pull_request: pr };
+  if (commentMode(config, "merge_conflict_resolved") === "sticky") {
+    const notice = renderMessage(
+      config,
+      "merge_conflict_resolved",
+      templateVariables(prPayload)
+    );
+    await postComment(prPayload, notice, {
+      config,
+      event: "merge_conflict_resolved",
+    });
+    logger.info(`Cleared merge conflict on #${pr.number}`);
+    return;
+  }
+
+  const existing = await findBotComment(
+    octokit,
+    owner,
+    repo,
+    pr.number,
+    conflictMarker
+  );
+  if (existing) {
+    const notice = renderMessage(
+      config,
+      "merge_conflict_resolved",
+      templateVariables(prPayload)
+    );
+    await octokit.issues.updateComment({
+      owner,
+      repo,
+      comment_id: existing.id,
+      body: `${conflictMarker}\n${notice}`,
+    });
+  }
+  logger.info(`Cleared merge conflict on #${pr.number}`);
+}
+
+// Label and notify a newly conflicting PR, unlabel one that's clean again
+async function updateConflict(context, pr) {
+  const settings = context.config.bot.merge_conflicts;
+  if (pr.state !== "open") {
+    return;
+  }
+
+  try {
+    const labelled = pr.labels.some((label) => label.name === settings.label);
+    if (pr.mergeable === false && !labelled) {
+      await flagConflict(context, pr);
+    } else if (pr.mergeable === true && labelled) {
+      await clearConflict(context, pr);
+    }
+  } catch (error) {
+    logger.error(`Failed to check merge conflicts on #${pr.number}`, {
+      error,
+    });
+  }
+}
+
+// Check the given PRs of the payload's repo
+async function checkConflicts(payload, config, pullNumbers) {
+  const owner = payload.repository.owner.login;
+  const repo = payload.repository.name;
+  const octokit = createOctokitInstance(payload.installation.id);
+  const settings = config.bot.merge_conflicts;
+  const context = { octokit, owner, repo, payload, config };
+
+  const pulls = await pollMergeable(
+    octokit,
+    owner,
+    repo,
+    pullNumbers,
+    settings
+  );
+  for (const pr of pulls.values()) {
+    await updateConflict(context, pr);
+  }
+}
+
+// Check one PR, after a push to it
+async function checkPullRequestConflict(payload, config, pullNumber) {
+  await checkConflicts(payload, config, [pullNumber]);
+}
+
+// After a push to `branch`, re-check every open PR that targets it
+async function checkBaseBranchConflicts(payload, config, branch) {
+  const octokit = createOctokitInstance(payload.installation.id);
+  const pulls = await octokit.paginate(octokit.pulls.list, {
+    owner: payload.repository.owner.login,
+    repo: payload.repository.name,
+    state: "open",
+    base: branch,
+    per_page: 100,
+  });
+
+  await checkConflicts(
+    payload,
+    config,
+    pulls.map((pr) => pr.number)
+  );
+}
+
+export { checkPullRequestConflict, checkBaseBranchConflicts };
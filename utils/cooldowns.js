@@ -0,0 +1,76 @@
+import { defaultConfig } from "./config.js";
+import { getItem, setItem } from "./storage.js";
+import { isQuotaLow } from "./quota.js";
+
+// Keeps GIF reactions from flooding busy repos: after one, the repo and the
+// thread get a cooldown (`cooldowns` in the repo config), and every
+// installation has a daily cap (`rate_limits.daily_gif_cap`). Essential
+// notices like merge conflicts and CI failures don't count.
+// Daily counts are stored as installation id -> { day, count }
+const collection = "gif_comments";
+
+const { daily_gif_cap: dailyGifCap } = defaultConfig.rate_limits;
+
+const lastRepoComment = new Map(); // "owner/repo" -> time
+const lastThreadComment = new Map(); // "owner/repo#number" -> time
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function threadKey(payload) {
+  const item = payload.issue || payload.pull_request;
+  return item ? `${payload.repository.full_name}#${item.number}` : null;
+}
+
+function dailyCount(installationId) {
+  const entry = getItem(collection, installationId);
+  return entry && entry.day === today() ? entry.count : 0;
+}
+
+// Why a GIF comment can't be posted for the payload right now, null if it can
+function gifCommentBlocker(payload, config) {
+  const settings = config.bot.cooldowns;
+  const installationId = payload.installation.id;
+  const now = Date.now();
+
+  if (isQuotaLow(installationId)) {
+    return "GitHub API quota is low";
+  }
+  if (dailyCount(installationId) >= dailyGifCap) {
+    return `daily cap of ${dailyGifCap} reached`;
+  }
+
+  const repoTime = lastRepoComment.get(payload.repository.full_name);
+  if (repoTime && now - repoTime < settings.repo_seconds * 1000) {
+    return "repo cooldown";
+  }
+  const threadTime = lastThreadComment.get(threadKey(payload));
+  if (threadTime && now - threadTime < settings.thread_seconds * 1000) {
+    return "thread cooldown";
+  }
+  return null;
+}
+
+function recordGifComment(payload) {
+  const installationId = payload.installation.id;
+  const now = Date.now();
+
+  lastRepoComment.set(payload.repository.full_name, now);
+  if (threadKey(payload)) {
+    lastThreadComment.set(threadKey(payload), now);
+  }
+  setItem(collection, installationId, {
+    day: today(),
+    count: dailyCount(installationId) + 1,
+  });
+
+  // Forget threads whose cooldown is long over
+  for (const [key, time] of lastThreadComment) {
+    if (now - time > 24 * 60 * 60 * 1000) {
+      lastThreadComment.delete(key);
+    }
+  }
+}
+
+export { gifCommentBlocker, recordGifComment };
@@ -0,0 +1,231 @@
+import { Octokit } from "@octokit/rest";
+import { createAppAuth } from "@octokit/auth-app";
+import { throttling } from "@octokit/plugin-throttling";
+import { retry } from "@octokit/plugin-retry";
+import jwt from "jsonwebtoken";
+import { defaultConfig } from "./config.js";
+import { recordQuota } from "./quota.js";
+import { incrementCounter, countForRepo } from "./metrics.js";
+import { stickyMarker, commentMode, buildStickyBody } from "./sticky.js";
+import { logger } from "./logger.js";
+import { auditRequest } from "./audit.js";
+import { shadowRequest } from "./shadow.js";
+import { skipDoneWrites } from "./writes.js";
+
+// The app's ID and private key, read from the env on first use so this
+// module can be imported without them
+function appCredentials() {
+  return {
+    appId: process.env.APP_ID,
+    privateKey: process.env.PKEY.replace(/\\n/g, "\n"),
+  };
+}
+
+let jwtToken = null;
+let tokenExpiration = 0; // Generated on the first renewJWTIfNeeded call
+
+// Generate the JWT
+function generateJWT(appId, privateKey) {
+  const payload = {
+    iat: Math.floor(Date.now() / 1000) - 60, // Issued 1 minute ago
+    exp: Math.floor(Date.now() / 1000) + 10 * 60, // Expires in 10 minutes
+    iss: appId,
+  };
+
+  return jwt.sign(payload, privateKey, { algorithm: "RS256" });
+}
+
+// Function to renew JWT if needed
+function renewJWTIfNeeded() {
+  const currentTime = Date.now();
+
+  // Check if the token is expired or will expire in the next 30 seconds
+  if (currentTime >= tokenExpiration - 30000) {
+    const { appId, privateKey } = appCredentials();
+    jwtToken = generateJWT(appId, privateKey);
+    tokenExpiration = currentTime + 10 * 60 * 1000;
+    logger.debug("JWT renewed");
+  }
+}
+
+// Waits out primary and secondary rate limits (going by retry-after and
+// x-ratelimit-reset) and retries server errors
+const ThrottledOctokit = Octokit.plugin(throttling, retry);
+const { max_retries: maxRetries } = defaultConfig.rate_limits;
+
+function onLimit(kind) {
+  return (retryAfter, options, octokit, retryCount) => {
+    logger.warn(`Hit the ${kind} rate limit`, {
+      request: `${options.method} ${options.url}`,
+      retry: retryCount + 1,
+      maxRetries,
+      retryAfter,
+    });
+    return retryCount < maxRetries;
+  };
+}
+
+const throttle = {
+  onRateLimit: onLimit("primary"),
+  onSecondaryRateLimit: onLimit("secondary"),
+};
+
+// Octokit's own log lines (one per request) as JSON too. Failed requests are
+// handled or logged by the caller, and a 404 is often expected, so they only
+// show up at the debug level.
+const log = {
+  debug: (msg) => logger.debug(msg),
+  info: (msg) => logger.debug(msg),
+  warn: (msg) => logger.warn(msg),
+  error: (msg) => logger.debug(msg),
+};
+
+// Comments created (POST .../comments) or edited in place, as sticky ones are
+// (PATCH .../comments/{comment_id})
+function isCommentWrite({ method, url }) {
+  return (
+    (method === "POST" && url.endsWith("/comments")) ||
+    (method === "PATCH" && /\/comments\/[^/]+$/.test(url))
+  );
+}
+
+// One client per installation, so they share the throttling queue
+const installationClients = new Map();
+
+// Octokit authenticated as the app itself, for the /app endpoints.
+// GITHUB_API_URL points it at GitHub Enterprise or a stand-in server.
+function createAppOctokit() {
+  return new ThrottledOctokit({
+    baseUrl: process.env.GITHUB_API_URL,
+    throttle,
+    log,
+    authStrategy: createAppAuth,
+    auth: appCredentials(),
+  });
+}
+
+// Octokit for an installation, quota left is recorded from every response
+// and every change it makes goes to the audit trail. In shadow mode its
+// changes aren't sent at all.
+function createOctokitInstance(installationId) {
+  renewJWTIfNeeded(); // Renew JWT before creating Octokit instance if needed
+
+  if (installationClients.has(installationId)) {
+    return installationClients.get(installationId);
+  }
+
+  const octokit = new ThrottledOctokit({
+    baseUrl: process.env.GITHUB_API_URL,
+    throttle,
+    log,
+    authStrategy: createAppAuth,
+    auth: { ...appCredentials(), installationId },
+  });
+  octokit.hook.after("request", (response, options) => {
+    recordQuota(installationId, response.headers);
+    auditRequest(installationId, options, response.data);
+    if (isCommentWrite(options)) {
+      incrementCounter("octopaji_comments_posted_total");
+      countForRepo(`${options.owner}/${options.repo}`, "comments");
+    }
+  });
+  octokit.hook.error("request", (error) => {
+    recordQuota(installationId, error.response && error.response.headers);
+    incrementCounter("octopaji_github_api_errors_total", {
+      status: error.status || "network",
+    });
+    throw error;
+  });
+  // The last wrap-hook added runs first: shadow mode holds writes back
+  // before they'd be recorded as made, and the writes a retried delivery
+  // made already skip the hooks above
+  octokit.hook.wrap("request", skipDoneWrites);
+  octokit.hook.wrap("request", shadowRequest);
+
+  installationClients.set(installationId, octokit);
+  return octokit;
+}
+
+// Our comment on the issue or PR that contains the hidden marker, if any
+async function findBotComment(octokit, owner, repo, issueNumber, marker) {
+  const comments = await octokit.paginate(octokit.issues.listComments, {
+    owner,
+    repo,
+    issue_number: issueNumber,
+    per_page: 100,
+  });
+  return comments.find(
+    (comment) => comment.user.type === "Bot" && comment.body.includes(marker)
+  );
+}
+
+// Post `comment` on the issue or PR of the payload. Pass { config, event }
+// (the message key) to honour sticky mode, where the bot edits its single
+// comment on the thread instead of adding one.
+async function postComment(payload, comment, options = {}) {
+  try {
+    const installationId = payload.installation && payload.installation.id;
+    if (!installationId) {
+      logger.error("Installation ID is missing from the payload.");
+      return;
+    }
+
+    const repoOwner = payload.repository.owner.login;
+    const repoName = payload.repository.name;
+    const thread = payload.issue || payload.pull_request;
+    if (!thread) {
+      logger.error("Issue or pull request number is missing.");
+      return;
+    }
+
+    const issueNumber = thread.number;
+    const kind = payload.issue ? "issue" : "pull request";
+    const octokit = createOctokitInstance(installationId);
+    const { config, event } = options;
+
+    if (config && commentMode(config, event) === "sticky") {
+      const existing = await findBotComment(
+        octokit,
+        repoOwner,
+        repoName,
+        issueNumber,
+        stickyMarker
+      );
+      const body = buildStickyBody(existing && existing.body, comment);
+
+      if (existing) {
+        await octokit.issues.updateComment({
+          owner: repoOwner,
+          repo: repoName,
+          comment_id: existing.id,
+          body,
+        });
+        logger.info(`Sticky comment updated on ${kind} #${issueNumber}`, {
+          repo: `${repoOwner}/${repoName}`,
+        });
+        return;
+      }
+      comment = body;
+    }
+
+    await octokit.issues.createComment({
+      owner: repoOwner,
+      repo: repoName,
+      issue_number: issueNumber,
+      body: comment,
+    });
+    logger.info(`Comment posted to ${kind} #${issueNumber}`, {
+      repo: `${repoOwner}/${repoName}`,
+    });
+  } catch (error) {
+    logger.error("Failed to post comment", { error });
+  }
+}
+
+export {
+  renewJWTIfNeeded,
+  createAppOctokit,
+  createOctokitInstance,
+  findBotComment,
+  postComment,
+};
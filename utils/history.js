@@ -0,0 +1,32 @@
+// Recently posted GIF ids per repository, so the same GIF isn't posted twice
+// in a row. Kept in memory, newest id last.
+const gifHistory = new Map(); // "owner/repo" -> ["provider:id", ...]
+
+function historyKey(gif, provider) {
+  return `${provider.name}:${gif.id}`;
+}
+
+function getRecentGifs(repoKey) {
+  return gifHistory.get(repoKey) || [];
+}
+
+// Remember a posted GIF, keeping only the last `window` entries
+function recordGif(repoKey, gif, provider, window) {
+  if (!repoKey || window <= 0) {
+    return;
+  }
+
+  const recent = [...getRecentGifs(repoKey), historyKey(gif, provider)];
+  gifHistory.set(repoKey, recent.slice(-window));
+}
+
+// Drop results posted recently, unless that would leave nothing to post
+function filterRecentGifs(repoKey, results, provider) {
+  const recent = getRecentGifs(repoKey);
+  const fresh = results.filter(
+    (gif) => !recent.includes(historyKey(gif, provider))
+  );
+  return fresh.length > 0 ? fresh : results;
+}
+
+export { getRecentGifs, recordGif, filterRecentGifs };
@@ -0,0 +1,163 @@
+import { getItem, setItem, deleteItem, listItems } from "./storage.js";
+import { createAppOctokit, createOctokitInstance } from "./github.js";
+import { deleteAuditEntries } from "./audit.js";
+import { logger } from "./logger.js";
+
+// Installations and the repositories they can access, kept in storage as
+// installation id -> { id, account, suspended, repositories }
+const collection = "installations";
+
+// Only what we need from a repository payload
+function toRepository(repo) {
+  return {
+    id: repo.id,
+    name: repo.name,
+    full_name: repo.full_name,
+    private: repo.private,
+  };
+}
+
+function storeInstallation(installationId, repoData, details = {}) {
+  const existing = getItem(collection, installationId) || {
+    id: installationId,
+    account: null,
+    suspended: false,
+  };
+
+  setItem(collection, installationId, {
+    ...existing,
+    ...details,
+    repositories: (repoData || []).map(toRepository),
+  });
+}
+
+function getRepoData(installationId) {
+  return getItem(collection, installationId);
+}
+
+function listInstallations() {
+  return listItems(collection).map(([, installation]) => installation);
+}
+
+function isSuspended(installationId) {
+  const installation = getItem(collection, installationId);
+  return Boolean(installation && installation.suspended);
+}
+
+// Apply an installation_repositories event
+function updateRepositories(installationId, added = [], removed = []) {
+  const installation = getItem(collection, installationId);
+  if (!installation) {
+    storeInstallation(installationId, added);
+    return;
+  }
+
+  const removedIds = removed.map((repo) => repo.id);
+  const repositories = installation.repositories
+    .filter((repo) => !removedIds.includes(repo.id))
+    .concat(added.map(toRepository));
+  setItem(collection, installationId, { ...installation, repositories });
+}
+
+// Function to clean up installation data, its audit trail goes with it
+async function cleanupInstallationData(installationId) {
+  deleteAuditEntries(installationId);
+  if (getItem(collection, installationId)) {
+    deleteItem(collection, installationId);
+    logger.info("Removed the installation from the store.", {
+      installation: installationId,
+    });
+  }
+}
+
+// Function to handle suspension, an installation we didn't know of yet is
+// stored as suspended so its events are still ignored
+async function suspendInstallation(installationId) {
+  const installation = getItem(collection, installationId) || {
+    id: installationId,
+    account: null,
+    repositories: [],
+  };
+  setItem(collection, installationId, { ...installation, suspended: true });
+  logger.info("Marked the installation as suspended.", {
+    installation: installationId,
+  });
+}
+
+// Function to handle unsuspension
+async function unsuspendInstallation(installationId) {
+  const installation = getItem(collection, installationId);
+  if (installation) {
+    setItem(collection, installationId, { ...installation, suspended: false });
+    logger.info("Re-enabled the installation.", {
+      installation: installationId,
+    });
+  }
+}
+
+// Repositories the installation can access, from the GitHub API
+async function fetchRepositories(installationId) {
+  const octokit = createOctokitInstance(installationId);
+  return await octokit.paginate(
+    octokit.rest.apps.listReposAccessibleToInstallation,
+    { per_page: 100 }
+  );
+}
+
+// Rebuild the store from the GitHub API, dropping installations that are gone
+async function syncInstallations() {
+  const octokit = createAppOctokit();
+  const installations = await octokit.paginate(
+    octokit.rest.apps.listInstallations,
+    { per_page: 100 }
+  );
+
+  const currentIds = installations.map((installation) =>
+    String(installation.id)
+  );
+  for (const { id } of listInstallations()) {
+    if (!currentIds.includes(String(id))) {
+      await cleanupInstallationData(id);
+    }
+  }
+
+  for (const installation of installations) {
+    const details = {
+      account: installation.account ? installation.account.login : null,
+      suspended: Boolean(installation.suspended_at),
+    };
+    try {
+      const repos = await fetchRepositories(installation.id);
+      storeInstallation(installation.id, repos, details);
+    } catch (error) {
+      // Suspended installations get no token, their repositories are kept
+      const stored = getItem(collection, installation.id);
+      storeInstallation(
+        installation.id,
+        stored ? stored.repositories : [],
+        details
+      );
+      if (!details.suspended) {
+        logger.error("Failed to sync installation", {
+          installation: installation.id,
+          error,
+        });
+      }
+    }
+  }
+
+  logger.info(`Synced ${installations.length} installations from GitHub.`);
+}
+
+export {
+  storeInstallation,
+  getRepoData,
+  listInstallations,
+  isSuspended,
+  updateRepositories,
+  cleanupInstallationData,
+  suspendInstallation,
+  unsuspendInstallation,
+  fetchRepositories,
+  syncInstallations,
+};
@@ -0,0 +1,294 @@
+import { createOctokitInstance } from "./github.js";
+import { logger, withLogContext } from "./logger.js";
+
+// Label rules from `label_rules` in the config. Every condition a rule sets
+// has to hold for it to match:
+//   keyword            - regex found in the title or body
+//   title, body        - regex found in that field
+//   files              - globs, one of the PR's changed files matches one
+//   author_association - the author's association is one of these
+//   base_branch        - globs, the PR's base branch matches one
+// A matching rule adds `add` (or `label`) and removes `remove`. Rules are
+// applied in order, so a later rule can undo an earlier one.
+
+// "src/**/*.js" -> RegExp, "*" stays within a path segment, "**" doesn't
+function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      const slash = glob[i + 2] === "/";
+      source += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function matchesGlob(value, globs) {
+  return globs.some((glob) => globToRegExp(glob).test(value));
+}
+
+function ruleName(rule, index) {
+  return rule.name || `rule ${index + 1}`;
+}
+
+function labelsToAdd(rule) {
+  return [...(rule.add || []), ...(rule.label ? [rule.label] : [])];
+}
+
+// What the rules are checked against, for an issue or a PR
+async function labelTarget(octokit, payload, rules) {
+  const item = payload.pull_request || payload.issue;
+  const isPR = Boolean(payload.pull_request);
+  const owner = payload.repository.owner.login;
+  const repo = payload.repository.name;
+
+  // The files API is only called when a rule needs it
+  let files = null;
+  if (isPR && rules.some((rule) => rule.files)) {
+    const changed = await octokit.paginate(octokit.pulls.listFiles, {
+      owner,
+      repo,
+      pull_number: item.number,
+      per_page: 100,
+    });
+    files = changed.map((file) => file.filename);
+  }
+
+  return {
+    owner,
+    repo,
+    number: item.number,
+    isPR,
+    title: item.title || "",
+    body: item.body || "",
+    association: item.author_association,
+    base: isPR ? item.base.ref : null,
+    labels: (item.labels || []).map((label) => label.name || label),
+    files,
+  };
+}
+
+// Each condition of the rule as { condition, passed, detail }
+function checkRule(rule, target) {
+  const checks = [];
+  const check = (condition, passed, detail) =>
+    checks.push({ condition, passed, detail });
+
+  if (rule.keyword) {
+    const pattern = new RegExp(rule.keyword, "i");
+    check(
+      "keyword",
+      pattern.test(target.title) || pattern.test(target.body),
+      `/${rule.keyword}/i in title or body`
+    );
+  }
+  for (const field of ["title", "body"]) {
+    if (rule[field]) {
+      check(
+        field,
+        new RegExp(rule[field], "i").test(target[field]),
+        `/${rule[field]}/i in ${field}`
+      );
+    }
+  }
+  if (rule.files) {
+    const matched = (target.files || []).filter((file) =>
+      matchesGlob(file, rule.files)
+    );
+    check(
+      "files",
+      matched.length > 0,
+      matched.length > 0
+        ? `${matched.length} changed file(s) match ${rule.files.join(", ")}`
+        : `no changed file matches ${rule.files.join(", ")}`
+    );
+  }
+  if (rule.author_association) {
+    check(
+      "author_association",
+      rule.author_association.includes(target.association),
+      `author is ${target.association || "unknown"}`
+    );
+  }
+  if (rule.base_branch) {
+    check(
+      "base_branch",
+      target.base !== null && matchesGlob(target.base, rule.base_branch),
+      target.base ? `base branch is ${target.base}` : "not a pull request"
+    );
+  }
+
+  return checks;
+}
+
+// Rules that look at the PR's code rather than its text, the ones new
+// commits can change the outcome of
+function checksCode(rule) {
+  return Boolean(rule.files || rule.base_branch);
+}
+
+// Which rules match and the labels that would change, nothing is applied.
+// `which` picks the rules to evaluate, all of them by default.
+async function evaluateLabelRules(
+  octokit,
+  payload,
+  config,
+  which = () => true
+) {
+  const rules = config.bot.label_rules
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => which(rule));
+  const target = await labelTarget(
+    octokit,
+    payload,
+    rules.map(({ rule }) => rule)
+  );
+  const toAdd = new Set();
+  const toRemove = new Set();
+
+  const results = rules.map(({ rule, index }) => {
+    const checks = checkRule(rule, target);
+    const matched = checks.every((check) => check.passed);
+    if (matched) {
+      for (const label of labelsToAdd(rule)) {
+        toAdd.add(label);
+        toRemove.delete(label);
+      }
+      for (const label of rule.remove || []) {
+        toRemove.add(label);
+        toAdd.delete(label);
+      }
+    }
+    return { name: ruleName(rule, index), rule, matched, checks };
+  });
+
+  return {
+    target,
+    results,
+    add: Array.from(toAdd).filter((label) => !target.labels.includes(label)),
+    remove: Array.from(toRemove).filter((label) =>
+      target.labels.includes(label)
+    ),
+  };
+}
+
+// Create the labels that have a definition in `labels` but not in the repo
+async function ensureLabels(octokit, owner, repo, names, definitions) {
+  for (const name of names) {
+    const definition = definitions[name];
+    if (!definition) {
+      // GitHub creates unknown labels itself, with its default color
+      continue;
+    }
+
+    try {
+      await octokit.issues.getLabel({ owner, repo, name });
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+      await octokit.issues.createLabel({
+        owner,
+        repo,
+        name,
+        color: (definition.color || "ededed").replace(/^#/, ""),
+        description: definition.description,
+      });
+      logger.info(`Created label ${name}`, { repo: `${owner}/${repo}` });
+    }
+  }
+}
+
+// Add and remove labels on the issue or PR of `target`
+async function changeLabels(octokit, target, add, remove, config) {
+  const { owner, repo, number } = target;
+  if (add.length > 0) {
+    await ensureLabels(octokit, owner, repo, add, config.bot.labels);
+    await octokit.issues.addLabels({
+      owner,
+      repo,
+      issue_number: number,
+      labels: add,
+    });
+  }
+  for (const name of remove) {
+    try {
+      await octokit.issues.removeLabel({
+        owner,
+        repo,
+        issue_number: number,
+        name,
+      });
+    } catch (error) {
+      // Someone else removed it in the meantime
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+  }
+}
+
+// Evaluate the rules (those `which` picks) and apply the result, resolves
+// to { add, remove }
+async function applyLabelRules(payload, config, which) {
+  const octokit = createOctokitInstance(payload.installation.id);
+  const { target, results, add, remove } = await evaluateLabelRules(
+    octokit,
+    payload,
+    config,
+    which
+  );
+  if (add.length === 0 && remove.length === 0) {
+    return { add, remove };
+  }
+
+  const matched = results
+    .filter((result) => result.matched)
+    .map((result) => result.name);
+  const reason = `label rules: ${matched.join(", ")}`;
+  await withLogContext({ reason }, () =>
+    changeLabels(octokit, target, add, remove, config)
+  );
+  logger.info(`Labels changed on #${target.number}`, { add, remove, reason });
+  return { add, remove };
+}
+
+// Markdown summary of an evaluation, for the dry-run command
+function explainLabels({ results, add, remove }) {
+  const lines = results.map(({ name, rule, matched, checks }) => {
+    if (checks.length === 0) {
+      return `- ✅ **${name}**: no conditions, always matches`;
+    }
+    const details = checks
+      .map(({ passed, detail }) => `${passed ? "✔" : "✘"} ${detail}`)
+      .join("; ");
+    const changes = [
+      ...labelsToAdd(rule).map((label) => `+${label}`),
+      ...(rule.remove || []).map((label) => `-${label}`),
+    ].join(" ");
+    return `- ${matched ? "✅" : "➖"} **${name}** (${changes}): ${details}`;
+  });
+
+  const summary = [
+    `Would add: ${add.length > 0 ? add.join(", ") : "nothing"}`,
+    `Would remove: ${remove.length > 0 ? remove.join(", ") : "nothing"}`,
+  ];
+  return [...lines, "", ...summary].join("\n");
+}
+
+export {
+  globToRegExp,
+  checksCode,
+  evaluateLabelRules,
+  changeLabels,
+  applyLabelRules,
+  explainLabels,
+};
@@ -0,0 +1,106 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Structured logs: one JSON object per line on stdout (stderr for warnings
+// and errors), with the context of the delivery being processed (delivery
+// id, installation, repo, event) added to every line. Tokens, keys and
+// secrets are redacted before anything is written.
+
+const levels = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = levels[process.env.LOG_LEVEL] || levels.info;
+
+const contextStorage = new AsyncLocalStorage();
+
+// Fields whose values are never logged, whatever they hold
+const secretFieldPattern =
+  /token|secret|password|authorization|private_?key|api_?key|^pkey$/i;
+
+// Secrets that may hide in messages, URLs and error texts
+const secretPatterns = [
+  /\bgh[pousr]_[A-Za-z0-9]{20,}\b/g,
+  /\bgithub_pat_[A-Za-z0-9_]{20,}\b/g,
+  /\b(Bearer|token)\s+[\w.-]{20,}/gi,
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, // JWTs
+];
+
+function redactString(value) {
+  return secretPatterns.reduce(
+    (text, pattern) =>
+      text.replace(pattern, (match, scheme) =>
+        typeof scheme === "string" ? `${scheme} [redacted]` : "[redacted]"
+      ),
+    value
+  );
+}
+
+// Errors keep their name, message and status, not the request and response
+// objects (with headers) that Octokit and axios hang on them
+function serializeError(error) {
+  const result = { name: error.name, message: error.message };
+  const status = error.status || (error.response && error.response.status);
+  if (status) {
+    result.status = status;
+  }
+  return result;
+}
+
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return redact(serializeError(value), depth);
+  }
+  if (typeof value === "string") {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (depth > 4) {
+    return "[truncated]";
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [field, fieldValue] of Object.entries(value)) {
+    result[field] = secretFieldPattern.test(field)
+      ? "[redacted]"
+      : redact(fieldValue, depth + 1);
+  }
+  return result;
+}
+
+function write(level, msg, fields = {}) {
+  if (levels[level] < minLevel) {
+    return;
+  }
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...getLogContext(),
+    ...fields,
+  });
+  const stream = levels[level] >= levels.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+const logger = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
+
+// Run `fn` with `fields` added to every line it logs, including from the
+// promises it starts. Nested calls add to the outer context.
+function withLogContext(fields, fn) {
+  return contextStorage.run({ ...getLogContext(), ...fields }, fn);
+}
+
+function getLogContext() {
+  return contextStorage.getStore() || {};
+}
+
+export { logger, withLogContext, getLogContext, redact };
@@ -0,0 +1,131 @@
+// Counters and histograms served in the Prometheus text format on /metrics,
+// plus per-repo counters for the admin API. Everything is kept in memory and
+// starts from zero on restart, which Prometheus handles fine.
+
+const metrics = new Map(); // name -> { type, help, series: Map }
+const repoCounters = new Map(); // "owner/repo" -> { events, comments, errors }
+
+// Upper bounds of the latency buckets, in seconds
+const durationBuckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function define(name, type, help) {
+  metrics.set(name, { type, help, series: new Map() });
+}
+
+define(
+  "octopaji_webhook_events_total",
+  "counter",
+  "Webhook deliveries received, by event"
+);
+define(
+  "octopaji_deliveries_total",
+  "counter",
+  "Processed deliveries, by event and outcome"
+);
+define(
+  "octopaji_comments_posted_total",
+  "counter",
+  "Comments created or updated on GitHub"
+);
+define(
+  "octopaji_gif_requests_total",
+  "counter",
+  "GIF provider searches, by provider and outcome"
+);
+define(
+  "octopaji_gif_request_duration_seconds",
+  "histogram",
+  "GIF provider search latency, by provider"
+);
+define(
+  "octopaji_github_api_errors_total",
+  "counter",
+  "Failed GitHub API requests, by status"
+);
+
+// `labels` as a stable series key, e.g. {event="push",outcome="handled"}
+function seriesKey(labels) {
+  const pairs = Object.entries(labels)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(
+      ([name, value]) => `${name}="${String(value).replace(/["\\\n]/g, "_")}"`
+    );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function incrementCounter(name, labels = {}) {
+  const { series } = metrics.get(name);
+  const key = seriesKey(labels);
+  series.set(key, (series.get(key) || 0) + 1);
+}
+
+function observeDuration(name, labels, seconds) {
+  const { series } = metrics.get(name);
+  const key = seriesKey(labels);
+  const entry = series.get(key) || {
+    labels,
+    buckets: durationBuckets.map(() => 0),
+    sum: 0,
+    count: 0,
+  };
+
+  durationBuckets.forEach((bound, index) => {
+    if (seconds <= bound) {
+      entry.buckets[index] += 1;
+    }
+  });
+  entry.sum += seconds;
+  entry.count += 1;
+  series.set(key, entry);
+}
+
+// Bump one of the per-repo counters (events, comments, errors)
+function countForRepo(repoKey, counter) {
+  if (!repoKey) {
+    return;
+  }
+  const counters = repoCounters.get(repoKey) || {
+    events: 0,
+    comments: 0,
+    errors: 0,
+  };
+  counters[counter] += 1;
+  repoCounters.set(repoKey, counters);
+}
+
+function getRepoCounters() {
+  return Object.fromEntries(repoCounters);
+}
+
+// Every metric in the Prometheus text exposition format
+function renderMetrics() {
+  const lines = [];
+  for (const [name, { type, help, series }] of metrics) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+
+    for (const [key, value] of series) {
+      if (type === "counter") {
+        lines.push(`${name}${key} ${value}`);
+        continue;
+      }
+
+      durationBuckets.forEach((bound, index) => {
+        const bucketKey = seriesKey({ ...value.labels, le: bound });
+        lines.push(`${name}_bucket${bucketKey} ${value.buckets[index]}`);
+      });
+      const infKey = seriesKey({ ...value.labels, le: "+Inf" });
+      lines.push(`${name}_bucket${infKey} ${value.count}`);
+      lines.push(`${name}_sum${key} ${value.sum}`);
+      lines.push(`${name}_count${key} ${value.count}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+export {
+  incrementCounter,
+  observeDuration,
+  countForRepo,
+  getRepoCounters,
+  renderMetrics,
+};
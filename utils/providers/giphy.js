@@ -0,0 +1,31 @@
+import axios from "axios";
+import { contentFilterFor } from "../safety.js";
+
+const url = "https://api.giphy.com/v1/gifs/search";
+
+const name = "giphy";
+const attribution = { name: "GIPHY", url: "https://giphy.com/" };
+
+// Giphy needs an API key, without one the provider is skipped
+function isAvailable() {
+  return Boolean(process.env.GIPHY_API_KEY);
+}
+
+async function search(term, gifSettings, contentSafety) {
+  const response = await axios.get(url, {
+    params: {
+      q: term,
+      api_key: process.env.GIPHY_API_KEY,
+      limit: gifSettings.gif_limit,
+      rating: contentFilterFor(name, contentSafety),
+    },
+  });
+
+  return response.data.data.map((result) => ({
+    id: result.id,
+    url: result.images["fixed_width_small"].url,
+    description: result.title,
+  }));
+}
+
+export { name, attribution, isAvailable, search };
@@ -0,0 +1,50 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import yaml from "js-yaml";
+import { defaultConfig } from "../config.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootPath = path.join(__dirname, "./../..");
+
+const name = "local";
+const attribution = null; // Curated GIFs, nothing to credit
+
+// Server-wide only: a repo's config mustn't get to pick files to read
+const { local_catalog: catalogPath } = defaultConfig.gif_providers;
+let catalog = null;
+
+// The catalog is YAML or JSON (JSON is valid YAML), its path is relative to
+// the root
+function loadCatalog() {
+  if (!catalog) {
+    const fullPath = path.resolve(rootPath, catalogPath);
+    catalog = yaml.load(fs.readFileSync(fullPath, "utf8")) || {};
+  }
+  return catalog;
+}
+
+// Entries are either a plain URL or { id, url, description }
+function toGif(entry) {
+  return typeof entry === "string" ? { id: entry, url: entry } : entry;
+}
+
+function isAvailable() {
+  return Boolean(catalogPath);
+}
+
+async function search(term, gifSettings) {
+  const catalog = loadCatalog();
+  const terms = catalog.terms || {};
+  const key = Object.keys(terms).find(
+    (candidate) => candidate.toLowerCase() === term.toLowerCase()
+  );
+  const entries = (key ? terms[key] : catalog.default) || [];
+
+  return entries.slice(0, gifSettings.gif_limit).map(toGif);
+}
+
+export { name, attribution, isAvailable, search };
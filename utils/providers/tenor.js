@@ -0,0 +1,32 @@
+import axios from "axios";
+import { contentFilterFor } from "../safety.js";
+
+const name = "tenor";
+const attribution = { name: "Tenor", url: "https://tenor.com/" };
+
+// Tenor needs an API key, without one the provider is skipped
+function isAvailable() {
+  return Boolean(process.env.API_KEY);
+}
+
+async function search(term, gifSettings, contentSafety) {
+  // TENOR_API_URL points it at a stand-in server
+  const baseUrl = process.env.TENOR_API_URL || "https://tenor.googleapis.com";
+  const response = await axios.get(`${baseUrl}/v2/search`, {
+    params: {
+      q: term,
+      key: process.env.API_KEY,
+      client_key: process.env.CLIENT_KEY,
+      limit: gifSettings.gif_limit,
+      contentfilter: contentFilterFor(name, contentSafety),
+    },
+  });
+
+  return response.data.results.map((result) => ({
+    id: result.id,
+    url: result["media_formats"]["tinygif"].url,
+    description: result.content_description,
+  }));
+}
+
+export { name, attribution, isAvailable, search };
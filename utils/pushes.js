@@ -0,0 +1,125 @@
+import { createOctokitInstance, postComment } from "./github.js";
+import { allowedGif, generateComment } from "./reactions.js";
+import { recordGifComment } from "./cooldowns.js";
+import { logger } from "./logger.js";
+
+// Pushes are reported on the open PRs of the pushed branch: a summary of the
+// new commits, and a warning when history was rewritten by a force push.
+// Branches without an open PR can get the same as a commit comment instead.
+
+function shortSha(sha) {
+  return sha.slice(0, 7);
+}
+
+// Markdown list of the pushed commits, newest last like `git log --reverse`
+function formatCommits(commits, maxCommits) {
+  const lines = commits.slice(0, maxCommits).map((commit) => {
+    const title = commit.message.split("\n")[0];
+    const author = commit.author.username
+      ? `@${commit.author.username}`
+      : commit.author.name;
+    return `- [\`${shortSha(commit.id)}\`](${commit.url}) ${title} (${author})`;
+  });
+  if (commits.length > maxCommits) {
+    lines.push(`- ...and ${commits.length - maxCommits} more`);
+  }
+  return lines.join("\n");
+}
+
+// Comments for the push, rendered against `target` (the payload, with the
+// PR set when there is one). Only the first gets a GIF, the cooldowns would
+// hold back a second one anyway.
+async function pushComments(target, config) {
+  const { max_commits: maxCommits } = config.bot.pushes;
+  const comments = [];
+
+  if (target.forced) {
+    const gif = await allowedGif("force push", target, config);
+    comments.push({
+      key: "force_push",
+      gif,
+      body: generateComment("force_push", target, gif, config, {
+        before: shortSha(target.before),
+        after: shortSha(target.after),
+        compare: target.compare,
+      }),
+    });
+  }
+
+  if (target.commits.length > 0) {
+    const gif =
+      comments.length > 0
+        ? null
+        : await allowedGif("branch updated", target, config);
+    comments.push({
+      key: "push_summary",
+      gif,
+      body: generateComment("push_summary", target, gif, config, {
+        count: target.commits.length,
+        commits: formatCommits(target.commits, maxCommits),
+      }),
+    });
+  }
+
+  return comments;
+}
+
+function hasGif(comments) {
+  return comments.some((comment) => comment.gif);
+}
+
+async function handlePush(payload, config) {
+  const settings = config.bot.pushes;
+  // Tags and deleted branches have nothing to report
+  if (
+    !settings.enabled ||
+    !payload.ref.startsWith("refs/heads/") ||
+    payload.deleted
+  ) {
+    return;
+  }
+
+  const octokit = createOctokitInstance(payload.installation.id);
+  const owner = payload.repository.owner.login;
+  const repo = payload.repository.name;
+  const branch = payload.ref.replace("refs/heads/", "");
+
+  const { data: pulls } = await octokit.pulls.list({
+    owner,
+    repo,
+    state: "open",
+    head: `${owner}:${branch}`,
+  });
+
+  for (const pr of pulls) {
+    const target = { ...payload, pull_request: pr };
+    const comments = await pushComments(target, config);
+    for (const { key, body } of comments) {
+      await postComment(target, body, { config, event: key });
+    }
+    if (hasGif(comments)) {
+      recordGifComment(target);
+    }
+  }
+
+  if (pulls.length > 0 || !settings.commit_comments) {
+    return;
+  }
+
+  const comments = await pushComments(payload, config);
+  if (comments.length > 0) {
+    await octokit.repos.createCommitComment({
+      owner,
+      repo,
+      commit_sha: payload.after,
+      body: comments.map((comment) => comment.body).join("\n\n"),
+    });
+    const sha = shortSha(payload.after);
+    logger.info(`Commit comment posted on ${sha}`);
+    if (hasGif(comments)) {
+      recordGifComment(payload);
+    }
+  }
+}
+
+export { formatCommits, handlePush };
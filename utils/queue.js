@@ -0,0 +1,221 @@
+import { defaultConfig } from "./config.js";
+import { incrementCounter, countForRepo } from "./metrics.js";
+import { logger } from "./logger.js";
+
+// Webhook deliveries are processed here, one at a time, after the route has
+// already answered GitHub. Jobs are keyed by X-GitHub-Delivery so redelivered
+// webhooks are dropped, failed jobs are retried with exponential backoff and
+// end up in the dead-letter list once they run out of attempts.
+// Serverless hosts freeze the process once the response is sent, so there
+// ("inline" mode) the route waits for the delivery and retries run at once.
+const {
+  max_attempts: maxAttempts,
+  retry_delay_ms: retryDelayMs,
+  history_size: historySize,
+  mode,
+} = defaultConfig.queue;
+
+const jobs = new Map(); // delivery id -> job, oldest first
+const pending = []; // delivery ids ready to run
+const deadLetters = [];
+const waiters = new Map(); // delivery id -> resolve functions of waitForJob
+let jobHandler = null;
+let running = false;
+
+// "auto" is inline on Vercel, which sets VERCEL in the env
+function processesInline() {
+  return mode === "inline" || (mode === "auto" && Boolean(process.env.VERCEL));
+}
+
+// handler(job) does the actual work and resolves to the outcome ("handled",
+// "disabled", ...), a thrown error counts as a failed attempt
+function setJobHandler(handler) {
+  jobHandler = handler;
+}
+
+// Returns false when the delivery was already queued or processed
+function enqueueJob(id, event, payload) {
+  if (jobs.has(id)) {
+    logger.info("Duplicate delivery, dropping it.", { delivery: id, event });
+    return false;
+  }
+
+  jobs.set(id, {
+    id,
+    event,
+    payload,
+    status: "queued",
+    attempts: 0,
+    outcome: null,
+    lastError: null,
+    writes: [], // Changes made on GitHub so far, see utils/writes.js
+    receivedAt: new Date().toISOString(),
+    finishedAt: null,
+  });
+  pending.push(id);
+  pruneJobs();
+  processQueue();
+  return true;
+}
+
+// Forget the oldest finished jobs once there are more than history_size
+function pruneJobs() {
+  for (const [id, job] of jobs) {
+    if (jobs.size <= historySize) {
+      break;
+    }
+    if (job.status === "done" || job.status === "dead") {
+      jobs.delete(id);
+    }
+  }
+}
+
+async function processQueue() {
+  if (running || !jobHandler) {
+    return;
+  }
+
+  running = true;
+  while (pending.length > 0) {
+    const job = jobs.get(pending.shift());
+    job.status = "running";
+    job.attempts += 1;
+
+    try {
+      job.outcome = await jobHandler(job);
+      job.status = "done";
+      job.finishedAt = new Date().toISOString();
+      settle(job);
+      incrementCounter("octopaji_deliveries_total", {
+        event: job.event,
+        outcome: job.outcome,
+      });
+    } catch (error) {
+      job.lastError = error.message;
+      incrementCounter("octopaji_deliveries_total", {
+        event: job.event,
+        outcome: "error",
+      });
+      countForRepo(repositoryOf(job), "errors");
+      logger.error("Delivery failed", {
+        delivery: job.id,
+        event: job.event,
+        attempt: job.attempts,
+        maxAttempts,
+        error,
+      });
+      retryOrBury(job);
+    }
+  }
+  running = false;
+}
+
+function repositoryOf(job) {
+  return job.payload.repository ? job.payload.repository.full_name : null;
+}
+
+// Resolve the waitForJob promises of a finished job and forget its writes
+function settle(job) {
+  job.writes = [];
+  for (const resolve of waiters.get(job.id) || []) {
+    resolve(job);
+  }
+  waiters.delete(job.id);
+}
+
+function retryOrBury(job) {
+  if (job.attempts >= maxAttempts) {
+    job.status = "dead";
+    job.finishedAt = new Date().toISOString();
+    settle(job);
+    deadLetters.push(job);
+    if (deadLetters.length > historySize) {
+      deadLetters.shift();
+    }
+    logger.error("Delivery moved to the dead-letter list.", {
+      delivery: job.id,
+      event: job.event,
+    });
+    return;
+  }
+
+  // A frozen process would never get to a timer
+  if (processesInline()) {
+    job.status = "queued";
+    pending.unshift(job.id);
+    return;
+  }
+
+  const delay = retryDelayMs * 2 ** (job.attempts - 1);
+  job.status = "retrying";
+  setTimeout(() => {
+    job.status = "queued";
+    pending.push(job.id);
+    processQueue();
+  }, delay);
+}
+
+// Run a finished delivery again, resolves to false when it's unknown (or
+// forgotten already) or still in the queue
+function rerunJob(id) {
+  const job = jobs.get(id);
+  if (!job || (job.status !== "done" && job.status !== "dead")) {
+    return false;
+  }
+
+  const deadIndex = deadLetters.indexOf(job);
+  if (deadIndex !== -1) {
+    deadLetters.splice(deadIndex, 1);
+  }
+  Object.assign(job, {
+    status: "queued",
+    attempts: 0,
+    outcome: null,
+    lastError: null,
+    writes: [],
+    finishedAt: null,
+  });
+  pending.push(id);
+  logger.info("Delivery queued to run again.", {
+    delivery: id,
+    event: job.event,
+  });
+  processQueue();
+  return true;
+}
+
+// Resolves to the job once it's done or dead (and to null for unknown ones)
+function waitForJob(id) {
+  const job = jobs.get(id);
+  if (!job || job.status === "done" || job.status === "dead") {
+    return Promise.resolve(job || null);
+  }
+  return new Promise((resolve) => {
+    waiters.set(id, [...(waiters.get(id) || []), resolve]);
+  });
+}
+
+// Summary of the queue for debugging, payloads and writes are left out
+function getQueueState() {
+  const summarize = ({ payload, writes, ...job }) => ({
+    ...job,
+    action: payload.action || null,
+    repository: payload.repository ? payload.repository.full_name : null,
+  });
+
+  return {
+    running,
+    pending: pending.length,
+    jobs: Array.from(jobs.values()).map(summarize),
+    deadLetters: deadLetters.map(summarize),
+  };
+}
+
+export {
+  setJobHandler,
+  enqueueJob,
+  rerunJob,
+  waitForJob,
+  processesInline,
+  getQueueState,
+};
@@ -0,0 +1,34 @@
+import { defaultConfig } from "./config.js";
+
+// GitHub API quota left per installation, taken from the x-ratelimit-*
+// headers of every response. Below `rate_limits.low_quota_ratio` of the
+// limit the bot keeps quiet and only does the essentials.
+const { low_quota_ratio: lowQuotaRatio } = defaultConfig.rate_limits;
+
+const quotas = new Map(); // installation id -> { limit, remaining, reset }
+
+function recordQuota(installationId, headers) {
+  if (!headers || headers["x-ratelimit-remaining"] === undefined) {
+    return;
+  }
+  quotas.set(String(installationId), {
+    limit: Number(headers["x-ratelimit-limit"]),
+    remaining: Number(headers["x-ratelimit-remaining"]),
+    reset: Number(headers["x-ratelimit-reset"]) * 1000,
+  });
+}
+
+function getQuota(installationId) {
+  return quotas.get(String(installationId)) || null;
+}
+
+function isQuotaLow(installationId) {
+  const quota = getQuota(installationId);
+  return Boolean(
+    quota &&
+      quota.reset > Date.now() &&
+      quota.remaining < quota.limit * lowQuotaRatio
+  );
+}
+
+export { recordQuota, getQuota, isQuotaLow };
@@ -0,0 +1,185 @@
+import { getGifs, keySearchTerms } from "./api.js";
+import { postComment } from "./github.js";
+import { autoLabelAndAssign } from "./assignment.js";
+import { isFirstTimer, communityLinks, labelFirstTimer } from "./welcome.js";
+import {
+  searchSimilarIssues,
+  searchSimilarPRs,
+  formatSimilar,
+} from "./similarity.js";
+import { renderMessage, templateVariables } from "./templates.js";
+import { gifCommentBlocker, recordGifComment } from "./cooldowns.js";
+import { logger } from "./logger.js";
+
+// Events whose comment is just their message and a GIF
+const eventMessages = {
+  "merge successful": "merge_successful",
+  approved: "approved",
+  "approvals reached": "approvals_reached",
+  "changes requested": "changes_requested",
+  "review commented": "review_commented",
+  "review dismissed": "review_dismissed",
+  "issue resolved": "issue_resolved",
+  "reopened issue": "issue_reopened",
+  "first merge": "first_merge",
+};
+
+// Welcome message for someone's first issue or PR in the repo
+async function welcomeContributor(payload, config) {
+  const key = payload.pull_request ? "welcome_pr" : "welcome_issue";
+  const gif = await allowedGif("first contribution", payload, config);
+  const links = await communityLinks(payload);
+  const comment = generateComment(key, payload, gif, config, links);
+  await postComment(payload, comment, { config, event: key });
+  if (gif) {
+    recordGifComment(payload);
+  }
+  await labelFirstTimer(payload, config);
+}
+
+// Point to similar issues if there are any, then welcome the issue (or its
+// author, when it's their first). `quiet` skips the thank-you GIF comment.
+async function handleNewIssue(payload, config, quiet) {
+  const similarIssues = await searchSimilarIssues(payload, config);
+
+  if (similarIssues.length > 0) {
+    const comment = renderMessage(config, "similar_issues", {
+      ...templateVariables(payload),
+      similar: formatSimilar(similarIssues),
+    });
+    await postComment(payload, comment, { config, event: "similar_issues" });
+  }
+
+  if (isFirstTimer(payload.issue, config)) {
+    await welcomeContributor(payload, config);
+  } else if (similarIssues.length === 0 && !quiet) {
+    const gif = await findGif("issue opened", payload, config);
+    const comment = generateComment("issue_opened", payload, gif, config);
+    await postComment(payload, comment, { config, event: "issue_opened" });
+    recordGifComment(payload);
+  }
+
+  await autoLabelAndAssign(payload, config);
+}
+
+// Same for PRs
+async function handleNewPR(payload, config, quiet) {
+  const similarPRs = await searchSimilarPRs(payload, config);
+
+  if (similarPRs.length > 0) {
+    const comment = renderMessage(config, "similar_prs", {
+      ...templateVariables(payload),
+      similar: formatSimilar(similarPRs),
+    });
+    await postComment(payload, comment, { config, event: "similar_prs" });
+  }
+
+  if (isFirstTimer(payload.pull_request, config)) {
+    await welcomeContributor(payload, config);
+  } else if (similarPRs.length === 0 && !quiet) {
+    const gif = await findGif("pull request", payload, config);
+    const comment = generateComment(
+      "pull_request_opened",
+      payload,
+      gif,
+      config
+    );
+    await postComment(payload, comment, {
+      config,
+      event: "pull_request_opened",
+    });
+    recordGifComment(payload);
+  }
+
+  await autoLabelAndAssign(payload, config);
+}
+
+//Actually getting gif from this function
+async function getGifRes(randomTerm, payload, config) {
+  const { gif_settings: gifSettings, content_safety: contentSafety } =
+    config.bot;
+  return await getGifs(
+    randomTerm,
+    gifSettings,
+    payload.repository.full_name,
+    contentSafety
+  );
+}
+
+// GIF for a keySearchTerms key, using a random term of its entry
+async function findGif(searchKey, payload, config) {
+  const entry = keySearchTerms.find((entry) => entry.key.includes(searchKey));
+  if (!entry) {
+    return null;
+  }
+
+  const randomTerm = entry.term[Math.floor(Math.random() * entry.term.length)];
+  return await getGifRes(randomTerm, payload, config);
+}
+
+// Same, but null while a cooldown or the daily cap holds GIFs back on the
+// payload's thread, the comment then goes out as text only. Call
+// recordGifComment once a comment with the GIF is posted.
+async function allowedGif(searchKey, payload, config) {
+  const blocker = gifCommentBlocker(payload, config);
+  if (blocker) {
+    logger.info(`Posting the ${searchKey} comment without a GIF`, { blocker });
+    return null;
+  }
+  return await findGif(searchKey, payload, config);
+}
+
+//For all the cases described in permissions, `variables` are passed on to
+// the message template. During a cooldown only the essentials are done. The
+// GIF is only searched for once a comment will carry it.
+async function handleEvent(searchKey, payload, config, variables = {}) {
+  const blocker = gifCommentBlocker(payload, config);
+  if (blocker) {
+    logger.info(`Skipping the GIF comment for ${searchKey}`, { blocker });
+  }
+
+  switch (searchKey) {
+    case "pull request":
+      await handleNewPR(payload, config, Boolean(blocker));
+      break;
+    case "issue opened":
+      await handleNewIssue(payload, config, Boolean(blocker));
+      break;
+    default: {
+      const key = eventMessages[searchKey];
+      if (key && !blocker) {
+        const gif = await findGif(searchKey, payload, config);
+        const comment = generateComment(key, payload, gif, config, variables);
+        await postComment(payload, comment, { config, event: key });
+        recordGifComment(payload);
+      }
+    }
+  }
+}
+
+// Render the message `key` for the payload, followed by the GIF
+function generateComment(key, payload, gif, config, variables = {}) {
+  const text = renderMessage(config, key, {
+    ...templateVariables(payload),
+    ...variables,
+  });
+  if (!gif) {
+    return text;
+  }
+
+  const { gif_width: gifWidth, gif_height: gifHeight } =
+    config.bot.gif_settings;
+  const { attribution } = gif.provider;
+  const image = `<img src="${gif.url}" width="${gifWidth}" alt="${gif.provider.name}Gif" height="${gifHeight}"/>`;
+  if (!attribution) {
+    return `${text}<br/>${image}`;
+  }
+
+  const footer = renderMessage(config, "gif_footer", {
+    provider: attribution.name,
+    provider_url: attribution.url,
+  });
+  return `${text}<br/>${image}<br/> ${footer}`;
+}
+
+export { getGifRes, findGif, allowedGif, handleEvent, generateComment };
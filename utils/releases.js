@@ -0,0 +1,342 @@
+import { createOctokitInstance, postComment } from "./github.js";
+import { allowedGif, generateComment } from "./reactions.js";
+import { recordGifComment } from "./cooldowns.js";
+import { recordAudit } from "./audit.js";
+import { getItem, setItem } from "./storage.js";
+import { logger } from "./logger.js";
+
+// Published releases (and optionally bare tags) are celebrated on every
+// issue and PR that went into them. What went in is worked out from the
+// commits between the previous version tag (or the repo's first commit) and
+// this one: PRs referenced by their merge or squash commit, and the issues
+// those PRs close. A tag is celebrated once, however many events it gets.
+
+// Celebrated tags as "owner/repo@tag" -> when
+const collection = "releases";
+
+// Marks our notes in the release body so they're replaced, not repeated
+const notesMarker = "<!-- octopaji:release-notes -->";
+
+const closingPattern =
+  /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s+#(\d+)\b/gi;
+
+// "v1.2.3-rc.1" -> { major: 1, minor: 2, patch: 3, prerelease: "rc.1" }
+function parseVersion(tag) {
+  const match = /^v?(\d+)\.(\d+)(?:\.(\d+))?(?:-([\w.-]+))?/.exec(tag);
+  if (!match) {
+    return null;
+  }
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3] || 0),
+    prerelease: match[4] || null,
+  };
+}
+
+function compareVersions(a, b) {
+  return (
+    a.major - b.major ||
+    a.minor - b.minor ||
+    a.patch - b.patch ||
+    // 1.0.0-rc.1 comes before 1.0.0
+    (a.prerelease ? 0 : 1) - (b.prerelease ? 0 : 1) ||
+    String(a.prerelease).localeCompare(String(b.prerelease))
+  );
+}
+
+// "major", "minor", "patch" or "prerelease", compared to the previous version
+// (null for the first release, which counts as major)
+function releaseType(version, previous, prerelease) {
+  if (prerelease || version.prerelease) {
+    return "prerelease";
+  }
+  if (!previous) return "major";
+  if (version.major !== previous.major) return "major";
+  if (version.minor !== previous.minor) return "minor";
+  return "patch";
+}
+
+// The highest version tag below `tag`, or null for the first release
+async function findPreviousTag(octokit, owner, repo, tag) {
+  const version = parseVersion(tag);
+  const tags = await octokit.paginate(octokit.repos.listTags, {
+    owner,
+    repo,
+    per_page: 100,
+  });
+
+  let previous = null;
+  for (const { name } of tags) {
+    const candidate = parseVersion(name);
+    if (
+      candidate &&
+      compareVersions(candidate, version) < 0 &&
+      (!previous || compareVersions(candidate, previous.version) > 0)
+    ) {
+      previous = { name, version: candidate };
+    }
+  }
+  return previous;
+}
+
+// The first commit of the history of `ref`, on the last page of its commits
+async function findFirstCommit(octokit, owner, repo, ref) {
+  const params = { owner, repo, sha: ref, per_page: 1 };
+  const { headers, data } = await octokit.repos.listCommits(params);
+  const last = /[?&]page=(\d+)>; rel="last"/.exec(headers.link || "");
+  if (!last) {
+    return data[0].sha;
+  }
+
+  const { data: oldest } = await octokit.repos.listCommits({
+    ...params,
+    page: Number(last[1]),
+  });
+  return oldest[0].sha;
+}
+
+// Whether the tag has a GitHub release, which gets an event of its own
+async function hasRelease(octokit, owner, repo, tag) {
+  try {
+    await octokit.repos.getReleaseByTag({ owner, repo, tag });
+    return true;
+  } catch (error) {
+    if (error.status === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Numbers of the issues and PRs that went into the range, in commit order
+async function referencedNumbers(octokit, owner, repo, base, head) {
+  const { data } = await octokit.repos.compareCommits({
+    owner,
+    repo,
+    base,
+    head,
+  });
+
+  const numbers = new Set();
+  for (const { commit } of data.commits) {
+    for (const match of commit.message.matchAll(/(?:^|[\s(])#(\d+)\b/g)) {
+      numbers.add(Number(match[1]));
+    }
+  }
+  return Array.from(numbers);
+}
+
+// Issues and PRs of the release, PRs bring the issues they close along
+async function releaseItems(octokit, owner, repo, base, head, settings) {
+  const numbers = await referencedNumbers(octokit, owner, repo, base, head);
+  const items = new Map();
+
+  for (const number of numbers) {
+    if (items.size >= settings.max_comments) {
+      break;
+    }
+    try {
+      const { data: item } = await octokit.issues.get({
+        owner,
+        repo,
+        issue_number: number,
+      });
+      items.set(number, item);
+
+      for (const match of (item.body || "").matchAll(closingPattern)) {
+        const closed = Number(match[1]);
+        if (!items.has(closed) && items.size < settings.max_comments) {
+          const { data } = await octokit.issues.get({
+            owner,
+            repo,
+            issue_number: closed,
+          });
+          items.set(closed, data);
+        }
+      }
+    } catch (error) {
+      // "#1" in a commit message may not be an issue of this repo
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+  }
+  return Array.from(items.values());
+}
+
+// Merged PRs of the release as markdown, grouped by the first group label
+function formatNotes(items, settings) {
+  const pulls = items.filter(
+    (item) => item.pull_request && item.pull_request.merged_at
+  );
+  const sections = settings.groups.map((group) => ({ ...group, pulls: [] }));
+  const other = { title: settings.other_title, pulls: [] };
+
+  for (const pr of pulls) {
+    const labels = pr.labels.map((label) => label.name || label);
+    const section =
+      sections.find((group) => labels.includes(group.label)) || other;
+    section.pulls.push(pr);
+  }
+
+  return [...sections, other]
+    .filter((section) => section.pulls.length > 0)
+    .map((section) => {
+      const lines = section.pulls.map(
+        (pr) => `- ${pr.title} (#${pr.number}) @${pr.user.login}`
+      );
+      return `### ${section.title}\n\n${lines.join("\n")}`;
+    })
+    .join("\n\n");
+}
+
+// Add the notes to the release body, in place of ones added before
+async function addNotesToRelease(octokit, owner, repo, release, notes) {
+  const body = (release.body || "").split(notesMarker)[0].trimEnd();
+  await octokit.repos.updateRelease({
+    owner,
+    repo,
+    release_id: release.id,
+    body: `${body}\n\n${notesMarker}\n${notes}`.trim(),
+  });
+}
+
+// Start a discussion with the notes, in the configured category
+async function postNotesDiscussion(context, title, notes, name) {
+  const { octokit, owner, repo, installationId } = context;
+  const { repository } = await octokit.graphql(
+    `query($owner: String!, $repo: String!) {
+      repository(owner: $owner, name: $repo) {
+        id
+        discussionCategories(first: 25) { nodes { id name } }
+      }
+    }`,
+    { owner, repo }
+  );
+  const category = repository.discussionCategories.nodes.find(
+    (node) => node.name === name
+  );
+  if (!category) {
+    logger.warn(`Discussion category ${name} not found`);
+    return;
+  }
+
+  const { createDiscussion } = await octokit.graphql(
+    `mutation($repositoryId: ID!, $categoryId: ID!, $title: String!, $body: String!) {
+      createDiscussion(input: {
+        repositoryId: $repositoryId, categoryId: $categoryId, title: $title, body: $body
+      }) { discussion { id number url } }
+    }`,
+    {
+      repositoryId: repository.id,
+      categoryId: category.id,
+      title,
+      body: notes,
+    }
+  );
+  // Shadow mode answers the mutation without data
+  if (!createDiscussion) {
+    return;
+  }
+  // GraphQL mutations don't pass the audit hook of the REST routes
+  const { discussion } = createDiscussion;
+  recordAudit(installationId, {
+    action: "discussion_created",
+    repo: `${owner}/${repo}`,
+    number: discussion.number,
+    url: discussion.url,
+    details: { title },
+  });
+}
+
+// Celebrate `tag` on its issues and PRs, `release` is null for a bare tag
+async function celebrateRelease(payload, config, tag, release) {
+  const settings = config.bot.releases;
+  const version = parseVersion(tag);
+  if (!version) {
+    logger.info(`Tag ${tag} is not a version, skipping the celebration.`);
+    return;
+  }
+
+  const octokit = createOctokitInstance(payload.installation.id);
+  const owner = payload.repository.owner.login;
+  const repo = payload.repository.name;
+  if (!release && (await hasRelease(octokit, owner, repo, tag))) {
+    logger.info(`Tag ${tag} has a release, celebrating it on its event.`);
+    return;
+  }
+
+  // A release for a tag celebrated before only gets the notes in its body
+  const celebratedKey = `${owner}/${repo}@${tag}`;
+  const celebrated = Boolean(getItem(collection, celebratedKey));
+  const { notes: notesSettings } = settings;
+  if (
+    celebrated &&
+    !(release && notesSettings.enabled && notesSettings.target === "body")
+  ) {
+    logger.info(`Tag ${tag} was celebrated already.`);
+    return;
+  }
+
+  const previous = await findPreviousTag(octokit, owner, repo, tag);
+  const base = previous
+    ? previous.name
+    : await findFirstCommit(octokit, owner, repo, tag);
+  const type = releaseType(
+    version,
+    previous && previous.version,
+    release && release.prerelease
+  );
+  const items = await releaseItems(octokit, owner, repo, base, tag, settings);
+  const variables = {
+    tag,
+    type,
+    release_name: (release && release.name) || tag,
+    release_url: release
+      ? release.html_url
+      : `${payload.repository.html_url}/releases/tag/${tag}`,
+  };
+
+  if (settings.celebrate && !celebrated) {
+    for (const item of items) {
+      const target = item.pull_request
+        ? { ...payload, pull_request: item }
+        : { ...payload, issue: item };
+      const gif = await allowedGif(`release ${type}`, target, config);
+      const comment = generateComment(
+        "release_published",
+        target,
+        gif,
+        config,
+        variables
+      );
+      await postComment(target, comment, {
+        config,
+        event: "release_published",
+      });
+      if (gif) {
+        recordGifComment(target);
+      }
+    }
+  }
+
+  const notes = formatNotes(items, notesSettings);
+  if (notesSettings.enabled && notes) {
+    if (notesSettings.target === "discussion") {
+      const title = `Release ${variables.release_name}`;
+      const installationId = payload.installation.id;
+      await postNotesDiscussion(
+        { octokit, owner, repo, installationId },
+        title,
+        notes,
+        notesSettings.discussion_category
+      );
+    } else if (release) {
+      await addNotesToRelease(octokit, owner, repo, release, notes);
+    }
+  }
+  setItem(collection, celebratedKey, new Date().toISOString());
+}
+
+export { parseVersion, releaseType, formatNotes, celebrateRelease };
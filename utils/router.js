@@ -0,0 +1,47 @@
+import { logger } from "./logger.js";
+
+// Routes webhook events to the handlers registered for them
+const handlers = new Map(); // "event" or "event.action" -> handler
+
+// A handler module exports `event` (a name or a list of names) and either
+// `actions` (action -> handler) or `handle`, which gets every action that has
+// no handler of its own. Handlers are called with (payload, config).
+function registerHandler(handlerModule) {
+  const { actions = {}, handle } = handlerModule;
+  for (const event of [].concat(handlerModule.event)) {
+    for (const [action, handler] of Object.entries(actions)) {
+      handlers.set(`${event}.${action}`, handler);
+    }
+    if (handle) {
+      handlers.set(event, handle);
+    }
+  }
+}
+
+// event_triggers lists whole events ("issues") or single actions ("issues.opened")
+function isEventEnabled(event, action, config) {
+  const triggers = config.bot.event_triggers;
+  return triggers.includes(event) || triggers.includes(`${event}.${action}`);
+}
+
+// Resolves to "disabled", "unhandled" or "handled"
+async function routeEvent(event, payload, config) {
+  const action = payload.action;
+  const name = action ? `${event}.${action}` : event;
+
+  if (!isEventEnabled(event, action, config)) {
+    logger.info(`Event ${name} is disabled in config, skipping.`);
+    return "disabled";
+  }
+
+  const handler = handlers.get(name) || handlers.get(event);
+  if (!handler) {
+    logger.info(`No handler for event ${name}, ignoring.`);
+    return "unhandled";
+  }
+
+  await handler(payload, config);
+  return "handled";
+}
+
+export { registerHandler, isEventEnabled, routeEvent };
@@ -0,0 +1,62 @@
+// Content-safety checks applied to provider results before they're posted
+
+// Provider content filters for each rating, strictest first
+const ratingFilters = {
+  g: { tenor: "high", giphy: "g" },
+  pg: { tenor: "medium", giphy: "pg" },
+  "pg-13": { tenor: "low", giphy: "pg-13" },
+  r: { tenor: "off", giphy: "r" },
+};
+
+// Used when every result is filtered out, never has attribution
+const fallbackProvider = { name: "fallback", attribution: null };
+
+function contentFilterFor(providerName, contentSafety) {
+  const filters = ratingFilters[contentSafety.rating] || ratingFilters.g;
+  return filters[providerName];
+}
+
+// Lists hold "provider:id", a bare id or the GIF URL
+function gifInList(list, gif, provider) {
+  return (list || []).some(
+    (entry) =>
+      entry === `${provider.name}:${gif.id}` ||
+      entry === gif.id ||
+      entry === gif.url
+  );
+}
+
+function containsBlockedTerm(text, contentSafety) {
+  const lowerText = (text || "").toLowerCase();
+  return (contentSafety.blocked_terms || []).some((term) =>
+    lowerText.includes(term.toLowerCase())
+  );
+}
+
+function isSafeGif(gif, provider, contentSafety) {
+  if (contentSafety.corporate_mode) {
+    return gifInList(contentSafety.allowed_gifs, gif, provider);
+  }
+
+  return (
+    !gifInList(contentSafety.blocked_gifs, gif, provider) &&
+    !containsBlockedTerm(gif.description, contentSafety)
+  );
+}
+
+function filterSafeGifs(results, provider, contentSafety) {
+  return results.filter((gif) => isSafeGif(gif, provider, contentSafety));
+}
+
+function getFallbackGif(contentSafety) {
+  const url = contentSafety.fallback_gif;
+  return url ? { id: url, url, provider: fallbackProvider } : null;
+}
+
+export {
+  contentFilterFor,
+  containsBlockedTerm,
+  isSafeGif,
+  filterSafeGifs,
+  getFallbackGif,
+};
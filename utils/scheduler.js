@@ -0,0 +1,37 @@
+import { logger } from "./logger.js";
+
+// Background work that runs on a timer, e.g. the stale sweep. A task that is
+// still running when its next turn comes up is skipped for that turn.
+const tasks = new Map(); // name -> { timer, running, lastRun }
+
+function scheduleTask(name, intervalMs, run) {
+  const task = { timer: null, running: false, lastRun: null };
+
+  task.timer = setInterval(async () => {
+    if (task.running) {
+      logger.warn(`Task ${name} is still running, skipping this turn.`);
+      return;
+    }
+
+    task.running = true;
+    try {
+      await run();
+      task.lastRun = new Date().toISOString();
+    } catch (error) {
+      logger.error(`Task ${name} failed`, { error });
+    } finally {
+      task.running = false;
+    }
+  }, intervalMs);
+
+  tasks.set(name, task);
+}
+
+function stopTasks() {
+  for (const task of tasks.values()) {
+    clearInterval(task.timer);
+  }
+  tasks.clear();
+}
+
+export { scheduleTask, stopTasks };
@@ -0,0 +1,203 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { describeRequest } from "./audit.js";
+import { logger, withLogContext, getLogContext } from "./logger.js";
+import { getItem, setItem } from "./storage.js";
+import { renderMessage } from "./templates.js";
+import { isWrite } from "./writes.js";
+
+// Shadow mode (a dry run per repo or event): the handlers run as usual, but
+// their changes on GitHub (comments, labels, assignees, closed issues, ...)
+// aren't sent. The installation clients hold them back, answer with an
+// empty response and log them, and once the delivery is done they're listed
+// in one report, on a check run or in a report issue.
+const collection = "shadow_reports"; // repo full name -> report issue number
+
+const shadowStorage = new AsyncLocalStorage();
+
+// Longest piece of held back text quoted in the report
+const maxBodyLength = 1000;
+
+// `bot.shadow.events` lists whole events ("issues") or single actions
+// ("issues.opened"), every event when it's empty
+function isShadowed(event, action, config) {
+  const { enabled, events } = config.bot.shadow;
+  if (!enabled) {
+    return false;
+  }
+  return (
+    events.length === 0 ||
+    events.includes(event) ||
+    events.includes(`${event}.${action}`)
+  );
+}
+
+function describe(options) {
+  if (options.url === "/graphql") {
+    const [, mutation] = options.query.match(/\{\s*(\w+)/) || [];
+    return { number: null, text: `GraphQL ${mutation || "mutation"}` };
+  }
+  return describeRequest(options);
+}
+
+// Octokit wrap-hook of the installation clients: while a delivery runs in
+// shadow mode its writes are recorded instead of sent
+function shadowRequest(request, options) {
+  const changes = shadowStorage.getStore();
+  if (!changes || !isWrite(options)) {
+    return request(options);
+  }
+
+  const { number, text } = describe(options);
+  const change = {
+    text,
+    number,
+    reason: getLogContext().reason || null,
+    body: typeof options.body === "string" ? options.body : null,
+  };
+  changes.push(change);
+  logger.info(`Shadow mode, not sent: ${text}`, {
+    request: `${options.method} ${options.url}`,
+    number,
+    reason: change.reason,
+  });
+
+  return Promise.resolve({
+    status: 200,
+    url: options.url,
+    headers: {},
+    // GraphQL answers are wrapped in `data`
+    data: options.url === "/graphql" ? { data: {} } : {},
+  });
+}
+
+// The report mustn't touch threads either: mentions would notify people and
+// issue references would show up on the issues, code spans do neither
+function quiet(text) {
+  return text.replace(/(^|[^\w`])([@#][\w-]+)/g, "$1`$2`");
+}
+
+// Markdown list of the changes, the text of comments (or release notes)
+// quoted in a collapsed code block
+function formatChanges(changes) {
+  return changes
+    .map((change) => {
+      const where = change.number ? `#${change.number}: ` : "";
+      const why = change.reason ? `, ${change.reason}` : "";
+      const line = `- ${quiet(`${where}${change.text}${why}`)}`;
+      if (!change.body) {
+        return line;
+      }
+
+      const body =
+        change.body.length > maxBodyLength
+          ? `${change.body.slice(0, maxBodyLength)}…`
+          : change.body;
+      const quoted = ["````markdown", ...body.split("\n"), "````"]
+        .map((text) => `  ${text}`)
+        .join("\n");
+      return `${line}\n  <details><summary>Text</summary>\n\n${quoted}\n\n  </details>`;
+    })
+    .join("\n");
+}
+
+// The commit a check run can go on: a PR's head, a CI run's or a push's
+function headSha(payload) {
+  if (payload.pull_request) return payload.pull_request.head.sha;
+  if (payload.workflow_run) return payload.workflow_run.head_sha;
+  if (payload.check_run) return payload.check_run.head_sha;
+  if (payload.ref && payload.after && !payload.deleted) return payload.after;
+  return null;
+}
+
+async function reportToCheckRun(octokit, payload, config, summary) {
+  const sha = headSha(payload);
+  if (!sha) {
+    logger.info("Shadow mode: no commit to put the report on, logged only");
+    return;
+  }
+
+  const { count } = summary;
+  await octokit.checks.create({
+    owner: payload.repository.owner.login,
+    repo: payload.repository.name,
+    name: config.bot.shadow.check_run_name,
+    head_sha: sha,
+    status: "completed",
+    conclusion: "neutral",
+    output: {
+      title: renderMessage(config, "shadow_check_title", { count }),
+      summary: renderMessage(config, "shadow_report", summary),
+    },
+  });
+}
+
+// Comment on the repo's report issue, opened on the first report
+async function reportToIssue(octokit, payload, config, summary) {
+  const { repository } = payload;
+  const owner = repository.owner.login;
+  const repo = repository.name;
+  let number = getItem(collection, repository.full_name);
+
+  if (!number) {
+    const { data: issue } = await octokit.issues.create({
+      owner,
+      repo,
+      title: renderMessage(config, "shadow_issue_title"),
+      body: renderMessage(config, "shadow_issue_body"),
+    });
+    number = issue.number;
+    setItem(collection, repository.full_name, number);
+    logger.info(`Opened shadow mode report issue #${number}`);
+  }
+
+  await octokit.issues.createComment({
+    owner,
+    repo,
+    issue_number: number,
+    body: renderMessage(config, "shadow_report", summary),
+  });
+}
+
+async function report(octokit, payload, config, changes) {
+  const item = payload.issue || payload.pull_request;
+  // Reporting on the report issue's own events would only add noise
+  const reportIssue = getItem(collection, payload.repository.full_name);
+  if (item && item.number === reportIssue) {
+    return;
+  }
+
+  const summary = {
+    event: getLogContext().event,
+    item: item ? quiet(`#${item.number}`) : null,
+    count: changes.length,
+    changes: formatChanges(changes),
+  };
+  logger.info(`Shadow mode: ${changes.length} change(s) not made`);
+
+  try {
+    const target = config.bot.shadow.report;
+    if (target === "check_run") {
+      await reportToCheckRun(octokit, payload, config, summary);
+    } else if (target === "issue") {
+      await reportToIssue(octokit, payload, config, summary);
+    }
+  } catch (error) {
+    logger.error("Failed to post the shadow mode report", { error });
+  }
+}
+
+// Run `fn` in shadow mode and report what it would have changed in the
+// payload's repo. Resolves to what `fn` resolves to.
+async function runInShadow(octokit, payload, config, fn) {
+  const changes = [];
+  const result = await withLogContext({ shadow: true }, () =>
+    shadowStorage.run(changes, fn)
+  );
+  // The report itself is sent for real
+  if (changes.length > 0) {
+    await report(octokit, payload, config, changes);
+  }
+  return result;
+}
+
+export { isShadowed, shadowRequest, runInShadow };
@@ -0,0 +1,249 @@
+import { createOctokitInstance } from "./github.js";
+import { logger } from "./logger.js";
+
+// Per-repo index of issues and PRs (title, body and labels) used to find
+// duplicates. Matches are ranked by TF-IDF cosine similarity. The index is
+// built from the API on first use and kept up to date from webhooks after.
+// It's only a cache of what's on GitHub, so it's kept in memory rather than
+// in the store: "owner/repo" -> { builtAt, documents: { number: document } }
+const indexes = new Map();
+
+// Repos indexed at the same time, the least recently used one goes first
+const maxIndexes = 50;
+
+// Long bodies add little but noise, only the start is indexed
+const maxBodyLength = 2000;
+
+const stopWords = new Set(
+  (
+    "a an and are as at be but by can could did do does for from has have how " +
+    "i if in into is it its me my no not of on or our should so than that the " +
+    "their them then there these they this to too was we were what when where " +
+    "which while who will with would you your"
+  ).split(" ")
+);
+
+// Naive plural stripping, enough to match "crashes" with "crash"
+function stem(token) {
+  if (token.length > 4 && token.endsWith("es")) return token.slice(0, -2);
+  if (token.length > 3 && token.endsWith("s") && !token.endsWith("ss")) {
+    return token.slice(0, -1);
+  }
+  return token;
+}
+
+function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token.length > 1 && !stopWords.has(token))
+    .map(stem);
+}
+
+// Title words count twice, labels are terms of their own
+function documentTerms(doc) {
+  return [
+    ...tokenize(doc.title),
+    ...tokenize(doc.title),
+    ...tokenize(doc.body),
+    ...doc.labels.map((label) => `label:${label.toLowerCase()}`),
+  ];
+}
+
+// Issue, PR or search result -> what we keep in the index
+function toDocument(item, isPR) {
+  return {
+    number: item.number,
+    title: item.title,
+    body: (item.body || "").slice(0, maxBodyLength),
+    labels: (item.labels || []).map((label) => label.name || label),
+    // PRs list merged_at, PRs in the issues API have it in pull_request
+    state:
+      item.merged_at || (item.pull_request && item.pull_request.merged_at)
+        ? "merged"
+        : item.state,
+    isPR,
+    url: item.html_url,
+  };
+}
+
+function termFrequencies(terms) {
+  const counts = new Map();
+  for (const term of terms) {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  return counts;
+}
+
+// TF-IDF weights of a document, idf comes from the documents it's ranked against
+function weigh(terms, idf) {
+  const weights = new Map();
+  for (const [term, count] of termFrequencies(terms)) {
+    weights.set(term, (count / terms.length) * (idf.get(term) || 0));
+  }
+  return weights;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (const [term, weight] of a) {
+    dot += weight * (b.get(term) || 0);
+    normA += weight * weight;
+  }
+  for (const weight of b.values()) {
+    normB += weight * weight;
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Documents ranked by similarity to `doc`, best first
+function rankDocuments(doc, documents, settings) {
+  const candidates = documents
+    .filter((candidate) => candidate.number !== doc.number)
+    .map((candidate) => ({ doc: candidate, terms: documentTerms(candidate) }));
+
+  const queryTerms = documentTerms(doc);
+  const documentCount = candidates.length + 1;
+  const idf = new Map();
+  for (const terms of [queryTerms, ...candidates.map((c) => c.terms)]) {
+    for (const term of new Set(terms)) {
+      idf.set(term, (idf.get(term) || 0) + 1);
+    }
+  }
+  for (const [term, df] of idf) {
+    idf.set(term, Math.log((documentCount + 1) / (df + 1)) + 1);
+  }
+
+  const queryWeights = weigh(queryTerms, idf);
+  return candidates
+    .map(({ doc: candidate, terms }) => ({
+      ...candidate,
+      score: cosine(queryWeights, weigh(terms, idf)),
+    }))
+    .filter((match) => match.score >= settings.threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, settings.max_results);
+}
+
+function getIndex(repoKey) {
+  const index = indexes.get(repoKey);
+  if (index) {
+    indexes.delete(repoKey);
+    indexes.set(repoKey, index);
+  }
+  return index;
+}
+
+function setIndex(repoKey, index) {
+  indexes.delete(repoKey);
+  indexes.set(repoKey, index);
+  if (indexes.size > maxIndexes) {
+    indexes.delete(indexes.keys().next().value);
+  }
+}
+
+// Fetch the most recently updated issues and PRs of the repo
+async function buildIndex(octokit, owner, repo, settings) {
+  const documents = {};
+  let count = 0;
+
+  await octokit.paginate(
+    octokit.issues.listForRepo,
+    { owner, repo, state: "all", sort: "updated", per_page: 100 },
+    (response, done) => {
+      for (const item of response.data) {
+        if (count >= settings.max_documents) {
+          done();
+          break;
+        }
+        documents[item.number] = toDocument(item, Boolean(item.pull_request));
+        count += 1;
+      }
+      return [];
+    }
+  );
+
+  const index = { builtAt: new Date().toISOString(), documents };
+  setIndex(`${owner}/${repo}`, index);
+  logger.info(`Indexed ${count} issues and PRs`, { repo: `${owner}/${repo}` });
+  return index;
+}
+
+// Keep an existing index current, repos without one are indexed on first use
+function updateSimilarityIndex(event, payload) {
+  const item =
+    event === "issues"
+      ? payload.issue
+      : event === "pull_request"
+      ? payload.pull_request
+      : null;
+  if (!item || !payload.repository) {
+    return;
+  }
+
+  const repoKey = payload.repository.full_name;
+  const index = getIndex(repoKey);
+  if (!index) {
+    return;
+  }
+
+  if (payload.action === "deleted" || payload.action === "transferred") {
+    delete index.documents[item.number];
+  } else {
+    index.documents[item.number] = toDocument(item, event === "pull_request");
+  }
+}
+
+// Issues (or PRs) similar to `item`, as [{ number, title, state, score, ... }]
+async function findSimilar(payload, config, item, isPR) {
+  const settings = config.bot.similarity;
+  const owner = payload.repository.owner.login;
+  const repo = payload.repository.name;
+
+  try {
+    let index = getIndex(`${owner}/${repo}`);
+    if (!index) {
+      const octokit = createOctokitInstance(payload.installation.id);
+      index = await buildIndex(octokit, owner, repo, settings);
+    }
+
+    const documents = Object.values(index.documents).filter(
+      (doc) => doc.isPR === isPR
+    );
+    return rankDocuments(toDocument(item, isPR), documents, settings);
+  } catch (error) {
+    logger.error("Error searching for similar items", { error });
+    return [];
+  }
+}
+
+// Function to search for similar issues
+async function searchSimilarIssues(payload, config) {
+  return await findSimilar(payload, config, payload.issue, false);
+}
+
+// Function to search for similar pull requests
+async function searchSimilarPRs(payload, config) {
+  return await findSimilar(payload, config, payload.pull_request, true);
+}
+
+// Markdown list of matches, with their state and score
+function formatSimilar(matches) {
+  return matches
+    .map((match) => {
+      const percent = Math.round(match.score * 100);
+      return `- #${match.number} ${match.title} (${match.state}, ${percent}% similar)`;
+    })
+    .join("\n");
+}
+
+export {
+  tokenize,
+  rankDocuments,
+  updateSimilarityIndex,
+  searchSimilarIssues,
+  searchSimilarPRs,
+  formatSimilar,
+};
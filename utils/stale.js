@@ -0,0 +1,260 @@
+import { createOctokitInstance, postComment } from "./github.js";
+import { getRepoConfig } from "./config.js";
+import { listInstallations } from "./installations.js";
+import { allowedGif, generateComment } from "./reactions.js";
+import { recordGifComment } from "./cooldowns.js";
+import { logger, withLogContext } from "./logger.js";
+import { isShadowed, runInShadow } from "./shadow.js";
+import { getItem, setItem } from "./storage.js";
+
+// Sweeps every installed repo for open issues and PRs without activity for
+// `stale.days_until_stale` days. They get a nudge and the stale label, and
+// are closed when there's still no activity `stale.days_until_close` days
+// later. Any activity on a stale item (except ours) takes the label off.
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+// Items a shadow mode sweep reported, as "owner/repo#number" -> their
+// updated_at then. They aren't reported again until they're updated.
+const shadowCollection = "stale_shadowed";
+
+// Payload-like object for an issue or PR found by the sweep, so the usual
+// comment helpers work on it
+function sweepPayload(installationId, repository, item) {
+  const [owner] = repository.full_name.split("/");
+  return {
+    installation: { id: installationId },
+    repository: { ...repository, owner: { login: owner } },
+    issue: item,
+  };
+}
+
+function hasLabel(item, name) {
+  return item.labels.some((label) => (label.name || label) === name);
+}
+
+async function markStale(octokit, payload, config) {
+  const settings = config.bot.stale;
+  const { issue } = payload;
+  const kind = issue.pull_request ? "stale_pr" : "stale_issue";
+  const reason = `no activity for ${settings.days_until_stale} days`;
+
+  const gif = await allowedGif("stale", payload, config);
+  const comment = generateComment(kind, payload, gif, config, {
+    days: settings.days_until_stale,
+    close_days: settings.days_until_close,
+  });
+  await withLogContext({ reason }, async () => {
+    await postComment(payload, comment, { config, event: kind });
+    if (gif) {
+      recordGifComment(payload);
+    }
+    await octokit.issues.addLabels({
+      owner: payload.repository.owner.login,
+      repo: payload.repository.name,
+      issue_number: issue.number,
+      labels: [settings.label],
+    });
+  });
+}
+
+async function closeStale(octokit, payload, config) {
+  const { issue } = payload;
+  const days = config.bot.stale.days_until_close;
+  const comment = generateComment("stale_closed", payload, null, config, {
+    days,
+  });
+  const reason = `still no activity ${days} days after the stale nudge`;
+  await withLogContext({ reason }, async () => {
+    await postComment(payload, comment, { config, event: "stale_closed" });
+    await octokit.issues.update({
+      owner: payload.repository.owner.login,
+      repo: payload.repository.name,
+      issue_number: issue.number,
+      state: "closed",
+      ...(issue.pull_request ? {} : { state_reason: "not_planned" }),
+    });
+  });
+}
+
+// Resolves to the number of issues/PRs marked or closed
+async function sweepRepository(installationId, repository) {
+  const octokit = createOctokitInstance(installationId);
+  const [owner, repo] = repository.full_name.split("/");
+  const config = await getRepoConfig(octokit, owner, repo);
+  const settings = config.bot.stale;
+  if (!settings.enabled) {
+    return 0;
+  }
+
+  const shadowed = isShadowed("stale_sweep", null, config);
+  const sweep = () =>
+    sweepItems(octokit, installationId, repository, config, shadowed);
+  if (shadowed) {
+    const payload = sweepPayload(installationId, repository);
+    return await runInShadow(octokit, payload, config, sweep);
+  }
+  return await sweep();
+}
+
+// Nudge or close the inactive items of the repo, resolves to their number.
+// In shadow mode nothing changes on GitHub, so the items reported are
+// remembered instead.
+async function sweepItems(
+  octokit,
+  installationId,
+  repository,
+  config,
+  shadowed
+) {
+  const [owner, repo] = repository.full_name.split("/");
+  const settings = config.bot.stale;
+  const now = Date.now();
+  const staleBefore = now - settings.days_until_stale * dayMs;
+  const closeBefore = now - settings.days_until_close * dayMs;
+  // Stale items are only closed when days_until_close is set
+  const cutoff =
+    settings.days_until_close > 0
+      ? Math.max(staleBefore, closeBefore)
+      : staleBefore;
+  const candidates = [];
+
+  // Least recently updated first, so the walk stops at the first active one
+  await octokit.paginate(
+    octokit.issues.listForRepo,
+    {
+      owner,
+      repo,
+      state: "open",
+      sort: "updated",
+      direction: "asc",
+      per_page: 100,
+    },
+    (response, done) => {
+      for (const item of response.data) {
+        if (Date.parse(item.updated_at) >= cutoff) {
+          done();
+          break;
+        }
+        candidates.push(item);
+      }
+      return [];
+    }
+  );
+
+  let handled = 0;
+  for (const item of candidates) {
+    if (handled >= settings.max_per_run) {
+      break;
+    }
+    if (item.pull_request && !settings.include_prs) {
+      continue;
+    }
+    if (settings.exempt_labels.some((label) => hasLabel(item, label))) {
+      continue;
+    }
+
+    const reportedKey = `${repository.full_name}#${item.number}`;
+    if (
+      shadowed &&
+      getItem(shadowCollection, reportedKey) === item.updated_at
+    ) {
+      continue;
+    }
+
+    const payload = sweepPayload(installationId, repository, item);
+    const updatedAt = Date.parse(item.updated_at);
+    let swept = false;
+    if (hasLabel(item, settings.label)) {
+      // Our nudge was the last update, so nothing happened since
+      if (settings.days_until_close > 0 && updatedAt < closeBefore) {
+        await closeStale(octokit, payload, config);
+        swept = true;
+      }
+    } else if (updatedAt < staleBefore) {
+      await markStale(octokit, payload, config);
+      swept = true;
+    }
+
+    if (swept) {
+      handled += 1;
+      if (shadowed) {
+        setItem(shadowCollection, reportedKey, item.updated_at);
+      }
+    }
+  }
+
+  if (handled > 0) {
+    logger.info(`Stale sweep handled ${handled} items`);
+  }
+  return handled;
+}
+
+// Sweep the repos of every installation that isn't suspended
+async function sweepStale() {
+  for (const installation of listInstallations()) {
+    if (installation.suspended) {
+      continue;
+    }
+    for (const repository of installation.repositories) {
+      const context = {
+        installation: installation.id,
+        repo: repository.full_name,
+        event: "stale_sweep",
+      };
+      await withLogContext(context, async () => {
+        try {
+          await sweepRepository(installation.id, repository);
+        } catch (error) {
+          logger.error("Stale sweep failed", { error });
+        }
+      });
+    }
+  }
+}
+
+// Events that count as activity, as "event" or "event.action"
+const activityEvents = [
+  "issue_comment.created",
+  "issues.edited",
+  "issues.reopened",
+  "pull_request.edited",
+  "pull_request.reopened",
+  "pull_request.synchronize",
+  "pull_request_review.submitted",
+];
+
+// Take the stale label off an issue or PR that has seen activity
+async function clearStaleOnActivity(event, payload, config) {
+  if (!config.bot.stale.enabled) {
+    return;
+  }
+
+  const item = payload.issue || payload.pull_request;
+  if (
+    !item ||
+    !activityEvents.includes(`${event}.${payload.action}`) ||
+    (payload.sender && payload.sender.type === "Bot") ||
+    !hasLabel(item, config.bot.stale.label)
+  ) {
+    return;
+  }
+
+  const octokit = createOctokitInstance(payload.installation.id);
+  try {
+    await octokit.issues.removeLabel({
+      owner: payload.repository.owner.login,
+      repo: payload.repository.name,
+      issue_number: item.number,
+      name: config.bot.stale.label,
+    });
+    logger.info(`Removed the stale label from #${item.number} after activity`);
+  } catch (error) {
+    // Someone else removed it in the meantime
+    if (error.status !== 404) {
+      throw error;
+    }
+  }
+}
+
+export { sweepRepository, sweepStale, clearStaleOnActivity };
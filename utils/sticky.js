@@ -0,0 +1,63 @@
+// "Sticky" mode: instead of a new comment per event, the bot keeps one
+// comment per issue/PR, found again through a hidden marker. The latest
+// update is shown in full, earlier ones are listed in a status section.
+const stickyMarker = "<!-- octopaji:sticky -->";
+const historyStart = "<!-- octopaji:history -->";
+const historyEnd = "<!-- /octopaji:history -->";
+
+// Status lines kept in the history section
+const maxHistory = 20;
+
+// "sticky" or "fresh" for the event, per-event settings win over the default
+function commentMode(config, event) {
+  const { mode, events = {} } = config.bot.comments;
+  return (event && events[event]) || mode;
+}
+
+// Status lines already in the sticky comment, newest first
+function parseHistory(body) {
+  const start = body.indexOf(historyStart);
+  const end = body.indexOf(historyEnd);
+  if (start === -1 || end === -1) {
+    return [];
+  }
+
+  return body
+    .slice(start + historyStart.length, end)
+    .split("\n")
+    .filter((line) => line.startsWith("- "));
+}
+
+// First line of a comment without HTML, e.g. "👌 The PR is merged."
+function summarize(comment) {
+  const firstLine = comment
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .trim()
+    .split("\n")[0];
+  return firstLine.length > 120 ? `${firstLine.slice(0, 117)}...` : firstLine;
+}
+
+// Body of the sticky comment after `comment` is posted to it
+function buildStickyBody(previousBody, comment) {
+  const time = new Date().toISOString().replace("T", " ").slice(0, 16);
+  const history = [
+    `- ${time} UTC: ${summarize(comment)}`,
+    ...parseHistory(previousBody || ""),
+  ].slice(0, maxHistory);
+
+  return [
+    stickyMarker,
+    comment,
+    "",
+    "<details><summary>🐙 Status</summary>",
+    "",
+    historyStart,
+    ...history,
+    historyEnd,
+    "",
+    "</details>",
+  ].join("\n");
+}
+
+export { stickyMarker, commentMode, buildStickyBody };
@@ -0,0 +1,129 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { defaultConfig } from "./config.js";
+import { logger } from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Key-value storage split into named collections ("installations", ...).
+// Two backends: "memory" keeps everything in the process, "file" also writes
+// it to a JSON file so it survives restarts.
+
+// Keeps collections in a Map of Maps
+function createMemoryBackend() {
+  const collections = new Map();
+
+  function collection(name) {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  }
+
+  return {
+    get: (name, key) => collection(name).get(String(key)),
+    set: (name, key, value) => collection(name).set(String(key), value),
+    delete: (name, key) => collection(name).delete(String(key)),
+    list: (name) => Array.from(collection(name).entries()),
+    collections,
+  };
+}
+
+// Memory backend loaded from and written back to a JSON file. Writes are
+// batched and land shortly after the change, or when the process exits.
+function createFileBackend(filePath) {
+  const memory = createMemoryBackend();
+  let flushTimer = null;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    for (const [name, entries] of Object.entries(data)) {
+      memory.collections.set(name, new Map(Object.entries(entries)));
+    }
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.error("Failed to read storage file", { path: filePath, error });
+    }
+  }
+
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+
+    const data = {};
+    for (const [name, entries] of memory.collections) {
+      data[name] = Object.fromEntries(entries);
+    }
+
+    try {
+      // Write to a temp file first so a crash can't leave half a file behind
+      fs.mkdirSync(dirname(filePath), { recursive: true });
+      fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(data));
+      fs.renameSync(`${filePath}.tmp`, filePath);
+    } catch (error) {
+      logger.error("Failed to write storage file", { path: filePath, error });
+    }
+  }
+
+  function scheduleFlush() {
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, 200);
+      flushTimer.unref();
+    }
+  }
+
+  process.on("exit", () => {
+    if (flushTimer) {
+      flush();
+    }
+  });
+
+  return {
+    get: memory.get,
+    set: (name, key, value) => {
+      memory.set(name, key, value);
+      scheduleFlush();
+    },
+    delete: (name, key) => {
+      memory.delete(name, key);
+      scheduleFlush();
+    },
+    list: memory.list,
+  };
+}
+
+function createBackend({ backend, path: filePath }) {
+  if (backend === "file") {
+    return createFileBackend(path.resolve(__dirname, "./..", filePath));
+  }
+  return createMemoryBackend();
+}
+
+// STORAGE_BACKEND overrides storage.backend, e.g. "memory" for simulations,
+// and STORAGE_PATH overrides storage.path, e.g. "/tmp/store.json" on Vercel
+const storage = createBackend({
+  backend: process.env.STORAGE_BACKEND || defaultConfig.storage.backend,
+  path: process.env.STORAGE_PATH || defaultConfig.storage.path,
+});
+
+function getItem(collection, key) {
+  return storage.get(collection, key);
+}
+
+function setItem(collection, key, value) {
+  storage.set(collection, key, value);
+}
+
+function deleteItem(collection, key) {
+  storage.delete(collection, key);
+}
+
+// [key, value] pairs of every item in the collection
+function listItems(collection) {
+  return storage.list(collection);
+}
+
+export { getItem, setItem, deleteItem, listItems };
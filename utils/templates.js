@@ -0,0 +1,108 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import yaml from "js-yaml";
+import { logger } from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const localesPath = path.join(__dirname, "./../locales");
+
+// Messages missing from a locale come from this one
+const fallbackLocale = "en";
+
+// Load every locales/<code>.yml bundle
+const locales = {};
+for (const file of fs.readdirSync(localesPath)) {
+  if (file.endsWith(".yml")) {
+    const code = path.basename(file, ".yml");
+    try {
+      locales[code] = yaml.load(
+        fs.readFileSync(path.join(localesPath, file), "utf8")
+      );
+    } catch (e) {
+      logger.error(`Error loading locale ${code}`, { error: e });
+    }
+  }
+}
+
+// Every message there is, the fallback locale has them all
+const messageKeys = Object.keys(locales[fallbackLocale] || {});
+
+// Innermost {{#if name}}...{{else}}...{{/if}} block, so nested ones work
+const conditionalPattern =
+  /{{#if (\w+)}}((?:(?!{{#if )[\s\S])*?)(?:{{else}}((?:(?!{{#if )[\s\S])*?))?{{\/if}}/;
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+// {{name}} inserts a variable (empty when unset), {{#if name}} checks one
+function renderTemplate(template, variables = {}) {
+  let text = template;
+  let match;
+  while ((match = conditionalPattern.exec(text))) {
+    const [block, name, whenSet, whenUnset = ""] = match;
+    const replacement = isTruthy(variables[name]) ? whenSet : whenUnset;
+    text = text.replace(block, () => replacement);
+  }
+
+  return text.replace(/{{\s*(\w+)\s*}}/g, (placeholder, name) =>
+    variables[name] === undefined || variables[name] === null
+      ? ""
+      : String(variables[name])
+  );
+}
+
+// Locale bundle picked by the repo config, with its own overrides on top
+function getMessages(config) {
+  const locale = config.bot.locale || fallbackLocale;
+  if (!locales[locale]) {
+    logger.warn(`Unknown locale ${locale}, using ${fallbackLocale}.`);
+  }
+
+  return {
+    ...locales[fallbackLocale],
+    ...(locales[locale] || {}),
+    ...(config.bot.messages || {}),
+  };
+}
+
+function renderMessage(config, key, variables = {}) {
+  const template = getMessages(config)[key];
+  if (template === undefined) {
+    logger.error(`Message ${key} is missing from every locale.`);
+    return "";
+  }
+  return renderTemplate(template, variables);
+}
+
+// Variables every message gets, taken from the webhook payload
+function templateVariables(payload) {
+  const item = payload.pull_request || payload.issue || {};
+  const branch = payload.ref
+    ? payload.ref.replace(/^refs\/(heads|tags)\//, "")
+    : item.head && item.head.ref;
+
+  return {
+    author: item.user ? item.user.login : null,
+    sender: payload.sender ? payload.sender.login : null,
+    number: item.number,
+    title: item.title,
+    url: item.html_url,
+    repo: payload.repository ? payload.repository.full_name : null,
+    branch,
+    base: item.base ? item.base.ref : null,
+  };
+}
+
+export {
+  locales,
+  messageKeys,
+  renderTemplate,
+  getMessages,
+  renderMessage,
+  templateVariables,
+};
@@ -0,0 +1,106 @@
+import { createOctokitInstance } from "./github.js";
+import { withLogContext } from "./logger.js";
+import { changeLabels } from "./labels.js";
+
+// First-time contributors are told apart by the `author_association` GitHub
+// sends with issues and PRs. They get a welcome (with links to the repo's
+// contributing guide and code of conduct) and a celebration of their first
+// merged PR.
+
+// Looked up in this order, the first one found is linked
+const communityFiles = {
+  contributing: [
+    "CONTRIBUTING.md",
+    ".github/CONTRIBUTING.md",
+    "docs/CONTRIBUTING.md",
+  ],
+  code_of_conduct: [
+    "CODE_OF_CONDUCT.md",
+    ".github/CODE_OF_CONDUCT.md",
+    "docs/CODE_OF_CONDUCT.md",
+  ],
+};
+
+// Associations of people who already belong to the repo
+const knownAssociations = ["OWNER", "MEMBER", "COLLABORATOR"];
+
+function isFirstTimer(item, config) {
+  const settings = config.bot.welcome;
+  return (
+    settings.enabled && settings.associations.includes(item.author_association)
+  );
+}
+
+// Link of the first of `paths` that exists in the repo, or null
+async function findFileUrl(octokit, owner, repo, paths) {
+  for (const path of paths) {
+    try {
+      const { data } = await octokit.repos.getContent({ owner, repo, path });
+      return data.html_url;
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+  }
+  return null;
+}
+
+// { contributing, code_of_conduct } links, null for a missing file
+async function communityLinks(payload) {
+  const octokit = createOctokitInstance(payload.installation.id);
+  const owner = payload.repository.owner.login;
+  const repo = payload.repository.name;
+
+  const links = {};
+  for (const [name, paths] of Object.entries(communityFiles)) {
+    links[name] = await findFileUrl(octokit, owner, repo, paths);
+  }
+  return links;
+}
+
+// Add `welcome.label` to the first-timer's issue or PR
+async function labelFirstTimer(payload, config) {
+  const { label } = config.bot.welcome;
+  if (!label) {
+    return;
+  }
+
+  const octokit = createOctokitInstance(payload.installation.id);
+  const item = payload.pull_request || payload.issue;
+  const target = {
+    owner: payload.repository.owner.login,
+    repo: payload.repository.name,
+    number: item.number,
+  };
+  const reason = `${item.user.login} is a first-time contributor`;
+  // Created with its color and description from `labels` when it's missing
+  await withLogContext({ reason }, () =>
+    changeLabels(octokit, target, [label], [], config)
+  );
+}
+
+// Whether the merged PR of the payload is its author's first in the repo
+async function isFirstMerge(payload, config) {
+  const settings = config.bot.welcome;
+  const pr = payload.pull_request;
+  if (
+    !settings.enabled ||
+    !settings.celebrate_first_merge ||
+    knownAssociations.includes(pr.author_association)
+  ) {
+    return false;
+  }
+
+  const octokit = createOctokitInstance(payload.installation.id);
+  const repoKey = payload.repository.full_name;
+  const { data } = await octokit.search.issuesAndPullRequests({
+    q: `repo:${repoKey} is:pr is:merged author:${pr.user.login}`,
+    per_page: 2,
+  });
+  // The search index can lag behind, so the PR itself may or may not be
+  // there yet: it's the first merge when no other PR is
+  return data.items.every((item) => item.number === pr.number);
+}
+
+export { isFirstTimer, communityLinks, labelFirstTimer, isFirstMerge };
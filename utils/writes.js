@@ -0,0 +1,67 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { logger } from "./logger.js";
+
+// A failed delivery is run again from the start, so the changes on GitHub it
+// made before failing (comments, labels, ...) would be made twice. Every
+// write that went through is recorded on the job, and on the next attempt
+// the same write (same route and target) is skipped and answered with the
+// recorded response, while the steps after it run as usual.
+const journalStorage = new AsyncLocalStorage();
+
+// Requests that change something, reads (GraphQL queries too) don't count
+function isWrite(options) {
+  if (options.method === "GET" || options.method === "HEAD") {
+    return false;
+  }
+  if (options.url === "/graphql") {
+    return /^\s*mutation\b/.test(options.query || "");
+  }
+  return options.url.startsWith("/repos/");
+}
+
+// What a write changes, e.g. "POST /repos/{owner}/{repo}/issues/
+// {issue_number}/labels octo/demo 12". The body is left out, a retry may
+// pick another GIF for the same comment.
+function writeKey(options) {
+  const target =
+    options.issue_number ||
+    options.pull_number ||
+    options.comment_id ||
+    options.release_id ||
+    options.commit_sha ||
+    options.name ||
+    "";
+  return `${options.method} ${options.url} ${options.owner}/${options.repo} ${target}`;
+}
+
+// Run `fn`, an attempt of a delivery, skipping the `writes` its earlier
+// attempts made. Writes that go through are added to `writes`.
+function withWriteJournal(writes, fn) {
+  return journalStorage.run({ writes, earlier: [...writes] }, fn);
+}
+
+// Octokit wrap-hook of the installation clients
+function skipDoneWrites(request, options) {
+  const journal = journalStorage.getStore();
+  if (!journal || !isWrite(options)) {
+    return request(options);
+  }
+
+  const key = writeKey(options);
+  const index = journal.earlier.findIndex((write) => write.key === key);
+  if (index !== -1) {
+    const [write] = journal.earlier.splice(index, 1);
+    logger.info("Skipping a change an earlier attempt made", {
+      request: `${options.method} ${options.url}`,
+    });
+    return Promise.resolve(write.response);
+  }
+
+  return request(options).then((response) => {
+    const { status, url, data } = response;
+    journal.writes.push({ key, response: { status, url, headers: {}, data } });
+    return response;
+  });
+}
+
+export { isWrite, withWriteJournal, skipDoneWrites };